@@ -1,14 +1,20 @@
-import { executeRemote, getConnectionStatus } from './ssh.js';
+import { executeRemote, getConnectionStatus, GATEWAY_LOG_PATH } from './ssh.js';
+import { getCurrentInstanceName } from './instances.js';
+import { getMoltbookFolders } from './sync.js';
 
-let cachedStatus = null;
-let lastStatusCheck = 0;
+// Last status per instance, so switching instances never shows another's.
+const statusCache = new Map();
 const STATUS_CACHE_MS = 5000;
+// Status probes are polled by the GUI; a hung nvidia-smi must not stall it.
+const STATUS_TIMEOUT_MS = 10000;
 
 export async function getAgentStatus() {
-  const { connected } = getConnectionStatus();
+  const instance = getCurrentInstanceName();
+  const { connected } = getConnectionStatus(instance);
+  const cachedStatus = statusCache.get(instance);
   
   if (!connected) {
-    return cachedStatus || {
+    return cachedStatus?.status || {
       running: false,
       model: null,
       vram: null,
@@ -17,46 +23,46 @@ export async function getAgentStatus() {
     };
   }
   
-  if (cachedStatus && (Date.now() - lastStatusCheck) < STATUS_CACHE_MS) {
-    return cachedStatus;
+  if (cachedStatus && (Date.now() - cachedStatus.checkedAt) < STATUS_CACHE_MS) {
+    return cachedStatus.status;
   }
   
   try {
     const gatewayCheck = await executeRemote(
       'pgrep -f "openclaw-gateway" >/dev/null 2>&1 || pgrep -f "openclaw gateway" >/dev/null 2>&1; echo $?',
-      { quiet: true }
+      { quiet: true, timeoutMs: STATUS_TIMEOUT_MS }
     );
     
     const running = gatewayCheck.trim() === '0';
     
     let model = null;
     try {
-      model = (await executeRemote('cat ~/.openclaw/current_model 2>/dev/null', { quiet: true })).trim();
+      model = (await executeRemote('cat ~/.openclaw/current_model 2>/dev/null', { quiet: true, timeoutMs: STATUS_TIMEOUT_MS })).trim();
     } catch {}
     
     let vram = null;
     try {
       const vramResult = await executeRemote(
         "nvidia-smi --query-gpu=memory.total --format=csv,noheader,nounits | head -1",
-        { quiet: true }
+        { quiet: true, timeoutMs: STATUS_TIMEOUT_MS }
       );
       vram = `${Math.floor(parseInt(vramResult.trim()) / 1024)}GB`;
     } catch {}
     
     const moltbookMode = process.env.MOLTBOOK_MODE || 'readonly';
     
-    cachedStatus = {
+    const status = {
       running,
       model,
       vram,
       moltbookMode,
       lastCheck: new Date().toISOString()
     };
-    lastStatusCheck = Date.now();
+    statusCache.set(instance, { status, checkedAt: Date.now() });
     
-    return cachedStatus;
+    return status;
   } catch (error) {
-    return cachedStatus || {
+    return cachedStatus?.status || {
       running: false,
       model: null,
       vram: null,
@@ -69,7 +75,15 @@ export async function getAgentStatus() {
 export async function startAgent() {
   const port = process.env.OPENCLAW_GATEWAY_PORT || '18789';
   const tokenPath = '/root/.openclaw/gateway_token';
-  const logPath = '/root/.openclaw/run/gateway.log';
+  const logPath = GATEWAY_LOG_PATH;
+  
+  // Picks up `moltbook` changes in the sync config, even if already running.
+  // A stale config is no reason not to start, so a failure is only logged.
+  try {
+    await writeMoltbookConfig(await getMoltbookMode());
+  } catch (error) {
+    console.log(`  Could not update the Moltbook config: ${error.message}`);
+  }
 
   // If gateway already up on the port, treat Start as success (avoid lock timeout spam)
   const alreadyListening = await executeRemote(
@@ -126,18 +140,33 @@ export async function setMoltbookMode(mode) {
     throw new Error(`Invalid mode. Must be one of: ${validModes.join(', ')}`);
   }
   
-  const configPath = '~/.openclaw/moltbook_config.json';
+  await writeMoltbookConfig(mode);
+  return { mode, updated: true };
+}
+
+// Besides the mode, the Moltbook config lists the only folders posts may be
+// drafted from (`eligibleFolders`), from each sync folder's `moltbook` flag.
+// The folders are written as absolute paths so the agent can use them as-is.
+async function writeMoltbookConfig(mode) {
+  const home = (await executeRemote('printf %s "$HOME"', { quiet: true })).trim();
   const config = {
     mode,
+    eligibleFolders: getMoltbookFolders().map(path => toAbsoluteRemotePath(path, home)),
     updatedAt: new Date().toISOString()
   };
   
   await executeRemote(
-    `echo '${JSON.stringify(config)}' > ${configPath}`,
+    `mkdir -p ~/.openclaw && echo '${JSON.stringify(config).replace(/'/g, "'\\''")}' > ~/.openclaw/moltbook_config.json`,
     { quiet: true }
   );
-  
-  return { mode, updated: true };
+}
+
+// Remote paths are `~/...`, absolute, or relative to the remote home.
+function toAbsoluteRemotePath(path, home) {
+  if (path === '~') return home;
+  if (path.startsWith('~/')) return `${home}/${path.slice(2)}`;
+  if (path.startsWith('/')) return path;
+  return `${home}/${path}`;
 }
 
 export async function getMoltbookMode() {
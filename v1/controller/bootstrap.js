@@ -1,4 +1,6 @@
-export function getBootstrapScript() {
+// `syncRoot` is a shell-ready remote path (see remoteShellPath in ssh.js).
+export function getBootstrapScript(options = {}) {
+  const { syncRoot = '"$HOME"/mattyjacksbot/v1/sync' } = options;
   return `
 #!/bin/bash
 set -e
@@ -42,10 +44,10 @@ fi
 # Create directories
 echo "Creating workspace directories..."
 mkdir -p ~/.openclaw/workspace/skills
-mkdir -p ~/mattyjacksbot/v1/sync/public
-mkdir -p ~/mattyjacksbot/v1/sync/private
-mkdir -p ~/mattyjacksbot/v1/sync/artifacts
-mkdir -p ~/mattyjacksbot/v1/sync/state
+mkdir -p ${syncRoot}/public
+mkdir -p ${syncRoot}/private
+mkdir -p ${syncRoot}/artifacts
+mkdir -p ${syncRoot}/state
 
 # Create minimal OpenClaw config
 if [ ! -f ~/.openclaw/openclaw.json ]; then
@@ -1,16 +1,13 @@
 import { existsSync, mkdirSync, readdirSync, statSync, readFileSync, writeFileSync } from 'fs';
 import { join, relative, extname, dirname } from 'path';
-import { homedir } from 'os';
 import crypto from 'crypto';
 
 import { executeRemote, getConnectionStatus } from './ssh.js';
+import { resolveSyncRoot, toSyncPath, normalizeSyncRelPath } from './paths.js';
+import { getSyncFolderDetails } from './sync.js';
 
 function getSyncRoot() {
-  const configuredRoot = process.env.SYNC_ROOT;
-  if (configuredRoot) {
-    return configuredRoot.replace('%USERPROFILE%', homedir());
-  }
-  return join(homedir(), 'Documents', 'mattyjacksbot', 'v1');
+  return resolveSyncRoot(process.env.SYNC_ROOT);
 }
 
 function ensureDir(p) {
@@ -138,8 +135,9 @@ export function getBrainStatus() {
 }
 
 export function indexBrain(options = {}) {
+  const folders = getSyncFolderDetails();
   const {
-    include = ['public', 'private', 'artifacts'],
+    include = folders.map(f => f.name),
     maxFileBytes = parseInt(process.env.BRAIN_MAX_FILE_BYTES || '524288'),
     maxDocChars = parseInt(process.env.BRAIN_MAX_DOC_CHARS || '20000')
   } = options;
@@ -159,14 +157,16 @@ export function indexBrain(options = {}) {
   };
 
   for (const subdir of include) {
-    const dir = join(syncRoot, subdir);
+    const folder = folders.find(f => f.name === subdir);
+    if (!folder) throw new Error(`Unknown sync folder "${subdir}"`);
+    const dir = folder.localPath;
     const absFiles = walkFiles(dir);
 
     for (const absPath of absFiles) {
       stats.scanned += 1;
 
       try {
-        const relPath = relative(dir, absPath).replace(/\\/g, '/');
+        const relPath = toSyncPath(relative(dir, absPath));
         if (subdir === 'artifacts' && relPath.toLowerCase().startsWith('brain/')) {
           stats.skippedUnchanged += 1;
           continue;
@@ -330,18 +330,20 @@ function sanitizeFilename(name) {
     .slice(0, 120);
 }
 
-function resolveTargetPath(syncRoot, subdir, relPath) {
+function resolveTargetPath(subdir, relPath) {
   const cleanSubdir = (subdir || '').trim();
-  if (!['public', 'private', 'artifacts'].includes(cleanSubdir)) {
-    throw new Error('Invalid subdir. Must be one of: public, private, artifacts');
+  const folders = getSyncFolderDetails();
+  const folder = folders.find(f => f.name === cleanSubdir);
+  if (!folder) {
+    throw new Error(`Invalid subdir. Must be one of: ${folders.map(f => f.name).join(', ')}`);
   }
 
-  const safeRel = (relPath || '').replace(/^[/\\]+/, '').replace(/\\/g, '/');
-  if (!safeRel || safeRel.includes('..')) {
+  const safeRel = normalizeSyncRelPath(relPath);
+  if (!safeRel) {
     throw new Error('Invalid target path');
   }
 
-  const absPath = join(syncRoot, cleanSubdir, safeRel);
+  const absPath = join(folder.localPath, safeRel);
   return { cleanSubdir, safeRel, absPath };
 }
 
@@ -370,7 +372,7 @@ export function createBrainProposalFromGenerated(options = {}) {
   if (typeof generated !== 'string') throw new Error('Missing generated');
 
   const syncRoot = getSyncRoot();
-  const { absPath, safeRel, cleanSubdir } = resolveTargetPath(syncRoot, subdir, path);
+  const { absPath, safeRel, cleanSubdir } = resolveTargetPath(subdir, path);
 
   if (!allowOverwrite && existsSync(absPath)) {
     throw new Error(`Target already exists: ${cleanSubdir}/${safeRel}`);
@@ -448,7 +450,7 @@ export async function createBrainProposal(options = {}) {
   if (!instruction) throw new Error('Missing instruction');
 
   const syncRoot = getSyncRoot();
-  const { absPath, safeRel, cleanSubdir } = resolveTargetPath(syncRoot, subdir, path);
+  const { absPath, safeRel, cleanSubdir } = resolveTargetPath(subdir, path);
 
   if (!allowOverwrite && existsSync(absPath)) {
     throw new Error(`Target already exists: ${cleanSubdir}/${safeRel}`);
@@ -518,7 +520,7 @@ export function applyBrainProposal(options = {}) {
   const proposalAbs = join(proposalsDir, proposalFile);
   const proposal = JSON.parse(readFileSync(proposalAbs, 'utf-8'));
 
-  const { absPath } = resolveTargetPath(syncRoot, proposal.target?.subdir, proposal.target?.path);
+  const { absPath } = resolveTargetPath(proposal.target?.subdir, proposal.target?.path);
 
   if (!allowOverwrite && existsSync(absPath)) {
     throw new Error(`Target already exists: ${proposal.target.subdir}/${proposal.target.path}`);
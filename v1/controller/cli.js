@@ -5,11 +5,15 @@ import chalk from 'chalk';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { connect, getConnectionStatus } from './ssh.js';
-import { runSync, getSyncStatus } from './sync.js';
+import { connect, getConnectionStatus, executeRemote, formatProgressBar } from './ssh.js';
+import { runSync, getSyncStatus, syncEvents, getSyncHistory, listBackups, restoreBackup, pruneBackups, listPendingConflicts, getConflictDiff, resolvePendingConflict, exposeDecryptedFile, clearDecryptedFiles, createSnapshot, listSnapshots, restoreSnapshot } from './sync.js';
+import { startSyncWatcher } from './watch.js';
 import { getAgentStatus, startAgent, stopAgent } from './agent.js';
 import { tailLogs } from './logs.js';
 import { getBrainStatus, indexBrain, queryBrain, listBrainProposals, createBrainProposal, applyBrainProposal } from './brain.js';
+import { listInstances, getActiveInstanceName, setActiveInstance } from './instances.js';
+import { openTunnel, closeAllTunnels } from './tunnels.js';
+import { setPassphrasePrompt } from './keys.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,23 +22,115 @@ dotenv.config({ path: join(__dirname, '..', '.env') });
 
 const program = new Command();
 
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Same style as the model pull progress in ssh.js, on a single line.
+function renderSyncProgress(progress) {
+  const percent = progress.totalBytes > 0 ? Math.floor((progress.doneBytes / progress.totalBytes) * 100) : 100;
+  const parts = [
+    `Transferring ${progress.doneFiles}/${progress.totalFiles}${progress.failedFiles ? ` (${progress.failedFiles} failed)` : ''}`,
+    formatProgressBar(percent),
+    `${percent}%`,
+    `${formatMB(progress.doneBytes)}/${formatMB(progress.totalBytes)}`,
+    progress.path
+  ];
+  const line = `  ${parts.join('  ')}`;
+  const width = process.stdout.columns || 120;
+  process.stdout.write(`\r${line.slice(0, width - 1).padEnd(width - 1)}`);
+}
+
+// Reads a line from the terminal without echoing it.
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const { stdin } = process;
+    let value = '';
+    process.stdout.write(question);
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.setEncoding('utf8');
+
+    const onData = (input) => {
+      for (const char of input) {
+        if (char === '\u0003') {
+          process.stdout.write('\n');
+          process.exit(130);
+        } else if (char === '\r' || char === '\n' || char === '\u0004') {
+          stdin.removeListener('data', onData);
+          stdin.setRawMode(false);
+          stdin.pause();
+          process.stdout.write('\n');
+          resolve(value);
+          return;
+        } else if (char === '\u007f' || char === '\b') {
+          value = value.slice(0, -1);
+        } else {
+          value += char;
+        }
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
 program
   .name('v1')
   .description('Moltbook + OpenClaw control system')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--instance <name>', 'Instance profile from instances.json to run against (default: VAST_INSTANCE)')
+  .configureHelp({ showGlobalOptions: true })
+  .hook('preAction', () => {
+    // Encrypted keys are unlocked at the terminal; the passphrase stays in
+    // memory for this run only.
+    if (process.stdin.isTTY) {
+      setPassphrasePrompt(({ keyPath, attempt }) => promptHidden(
+        chalk.yellow(`  Passphrase for ${keyPath}${attempt > 1 ? ` (attempt ${attempt})` : ''}: `)
+      ));
+    }
+    const { instance } = program.opts();
+    if (!instance) return;
+    try {
+      setActiveInstance(instance);
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('instances')
+  .description('List instance profiles')
+  .action(() => {
+    try {
+      const active = getActiveInstanceName();
+      console.log(chalk.blue.bold('\n🖥  Instances\n'));
+      for (const instance of listInstances()) {
+        const marker = instance.name === active ? chalk.green('*') : ' ';
+        const target = instance.host ? `${instance.user}@${instance.host}:${instance.port}` : chalk.gray('no host');
+        console.log(`${marker} ${chalk.white.bold(instance.name)}  ${target}${instance.model ? chalk.gray(`  model ${instance.model}`) : ''}`);
+      }
+      console.log('');
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Failed to list instances:'), error.message);
+      process.exit(1);
+    }
+  });
 
 program
   .command('connect')
   .description('Connect to Vast.ai instance and bootstrap OpenClaw')
   .option('-f, --force', 'Force reinstall even if already set up')
   .option('-v, --verbose', 'Show detailed output')
+  .option('--accept-new-hostkey', 'Trust the host key the instance presents now, replacing the pinned one (after replacing the instance)')
   .action(async (options) => {
     console.log(chalk.blue.bold('\n🦞 Connecting to Vast.ai instance...\n'));
     
     try {
       await connect({
         force: options.force,
-        verbose: options.verbose
+        verbose: options.verbose,
+        acceptNewHostKey: options.acceptNewHostkey
       });
       console.log(chalk.green.bold('\n✓ Successfully connected and bootstrapped!\n'));
     } catch (error) {
@@ -43,25 +139,104 @@ program
     }
   });
 
-program
+const syncCmd = program
   .command('sync')
   .description('Run bidirectional sync between PC and Vast.ai')
   .option('-d, --dry-run', 'Show what would be synced without making changes')
   .option('-v, --verbose', 'Show detailed output')
+  .option('--no-delete', 'Do not propagate deletions to the other side')
+  .option('--allow-bulk-delete', 'Propagate deletions even when they would remove most of a folder (see SYNC_MAX_DELETE_PERCENT)')
+  .option('--hash', 'Compare file contents by sha256 instead of size/mtime (overrides SYNC_HASH)')
+  .option('-w, --watch', 'Keep running: sync on local changes and every SYNC_INTERVAL seconds')
   .action(async (options) => {
+    if (options.watch) {
+      const watcher = startSyncWatcher({
+        verbose: options.verbose,
+        dryRun: options.dryRun,
+        propagateDeletes: options.delete,
+        allowBulkDelete: options.allowBulkDelete,
+        hash: options.hash,
+        onResult: (result, trigger) => {
+          const time = new Date().toLocaleTimeString();
+          console.log(chalk.gray(`[${time}] (${trigger}) `) +
+            `${options.dryRun ? 'would ' : ''}↑ ${result.uploaded}  ↓ ${result.downloaded}  ✗ ${result.deleted}  ⚠ ${result.conflicts.length}`);
+        },
+        onError: (error, trigger) => {
+          console.error(chalk.red(`[${new Date().toLocaleTimeString()}] (${trigger}) Sync failed: ${error.message}`));
+        }
+      });
+      
+      console.log(chalk.blue.bold('\n👀 Watching sync folders...\n'));
+      console.log(chalk.gray(watcher.intervalSeconds > 0
+        ? `  Polling remote every ${watcher.intervalSeconds}s (SYNC_INTERVAL)`
+        : '  Remote polling disabled (set SYNC_INTERVAL to enable)'));
+      console.log(chalk.gray('  (Press Ctrl+C to stop)\n'));
+      
+      watcher.trigger();
+      process.on('SIGINT', () => {
+        watcher.stop();
+        console.log(chalk.yellow('\nStopped watching.'));
+        process.exit(0);
+      });
+      return;
+    }
+    
     console.log(chalk.blue.bold('\n🔄 Running bidirectional sync...\n'));
     
+    let showedProgress = false;
+    if (process.stdout.isTTY && !options.verbose) {
+      syncEvents.on('progress', (progress) => {
+        showedProgress = true;
+        renderSyncProgress(progress);
+      });
+    }
+    
     try {
       const result = await runSync({
         dryRun: options.dryRun,
-        verbose: options.verbose
+        verbose: options.verbose,
+        propagateDeletes: options.delete,
+        allowBulkDelete: options.allowBulkDelete,
+        hash: options.hash
       });
+      if (showedProgress) process.stdout.write('\n\n');
       
       console.log(chalk.green(`  ↑ Uploaded: ${result.uploaded} files`));
       console.log(chalk.cyan(`  ↓ Downloaded: ${result.downloaded} files`));
+      console.log(chalk.magenta(`  ✗ Deleted: ${result.deleted} files`));
+      if (result.ignored.length > 0) {
+        console.log(chalk.gray(`  - Ignored: ${result.ignored.length} paths${options.dryRun && options.verbose ? '' : ' (use --dry-run --verbose to list)'}`));
+      }
+      
+      const parked = result.conflicts.filter(c => c.resolution === 'ask');
+      if (result.conflicts.length > parked.length) {
+        console.log(chalk.yellow(`  ⚠ Conflicts resolved: ${result.conflicts.length - parked.length}`));
+      }
+      if (parked.length > 0) {
+        console.log(chalk.yellow(`  ⚠ Conflicts waiting for you: ${parked.length} (see \`sync conflicts\`)`));
+      }
+      
+      if (result.violations.length > 0) {
+        console.log(chalk.red(`  ⊘ Blocked by folder direction: ${result.violations.length}`));
+        if (!options.verbose) {
+          for (const v of result.violations) {
+            console.log(chalk.gray(`      ${v.path} (${v.action} not allowed, ${v.direction})`));
+          }
+        }
+      }
       
-      if (result.conflicts.length > 0) {
-        console.log(chalk.yellow(`  ⚠ Conflicts resolved: ${result.conflicts.length}`));
+      for (const held of result.heldDeletions) {
+        console.log(chalk.red(`  ⊘ Held back ${held.count} deletions in ${held.folder} (${held.synced} files synced before); ` +
+          'check the remote path, then rerun with --allow-bulk-delete if they are intended'));
+      }
+      
+      if (result.warnings.length > 0) {
+        console.log(chalk.yellow(`  ! Skipped (not valid on this machine): ${result.warnings.length}`));
+        if (!options.verbose) {
+          for (const w of result.warnings) {
+            console.log(chalk.gray(`      ${w.path}: ${w.warning}`));
+          }
+        }
       }
       
       console.log(chalk.green.bold('\n✓ Sync complete!\n'));
@@ -71,6 +246,283 @@ program
     }
   });
 
+syncCmd
+  .command('history')
+  .description('Show the journal of past sync runs')
+  .option('-n, --limit <count>', 'Number of runs to show', '10')
+  .option('-v, --verbose', 'List every file transferred in each run')
+  .action(async (options) => {
+    try {
+      // -v is also a `sync` option, so commander may hand it to the parent
+      const verbose = options.verbose || syncCmd.opts().verbose;
+      const runs = getSyncHistory({ limit: parseInt(options.limit) });
+      console.log(chalk.blue.bold('\n📜 Sync History\n'));
+      
+      if (runs.length === 0) {
+        console.log(chalk.gray('  No sync runs recorded yet.\n'));
+        return;
+      }
+      
+      for (const run of runs) {
+        const seconds = ((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000).toFixed(1);
+        const bytes = run.transfers.reduce((sum, t) => sum + (t.bytes || 0), 0);
+        console.log(`  ${chalk.white(new Date(run.startedAt).toLocaleString())} ${chalk.gray(`(${run.trigger}, ${seconds}s)`)}  ` +
+          `↑ ${run.uploaded}  ↓ ${run.downloaded}  ✗ ${run.deleted}  ⚠ ${run.conflicts}  ${chalk.gray(`${bytes} bytes`)}` +
+          (run.errors.length > 0 ? chalk.red(`  ${run.errors.length} errors`) : ''));
+        
+        if (verbose) {
+          for (const t of run.transfers) {
+            const detail = t.resolution ? ` → ${t.resolution}` : '';
+            const backup = t.backupPath || t.remoteBackupPath;
+            console.log(chalk.gray(`      ${t.action}${detail} ${t.path} (${t.bytes} bytes)${backup ? ` backup: ${backup}` : ''}`));
+          }
+          for (const e of run.errors) {
+            console.log(chalk.red(`      error ${e.path}: ${e.error}`));
+          }
+        }
+      }
+      console.log('');
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Sync history failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+syncCmd
+  .command('conflicts')
+  .description('List conflicts parked by SYNC_CONFLICT_POLICY=ask, with diffs')
+  .option('--no-diff', 'Only list the paths')
+  .action(async (options) => {
+    try {
+      const conflicts = listPendingConflicts();
+      console.log(chalk.blue.bold('\n⚠  Pending Conflicts\n'));
+      
+      if (conflicts.length === 0) {
+        console.log(chalk.gray('  No pending conflicts.\n'));
+        return;
+      }
+      
+      for (const c of conflicts) {
+        console.log(chalk.white.bold(`  ${c.path}`));
+        console.log(chalk.gray(`    local ${c.local.size} bytes, ${new Date(c.local.mtime).toLocaleString()} | remote ${c.remote.size} bytes, ${new Date(c.remote.mtime).toLocaleString()}`));
+        
+        if (options.diff) {
+          const { diff, reason } = await getConflictDiff(c.path);
+          if (!diff) {
+            console.log(chalk.gray(`    ${reason}`));
+          } else {
+            for (const line of diff.split('\n')) {
+              const color = line.startsWith('+') ? chalk.green : line.startsWith('-') ? chalk.red : line.startsWith('@@') ? chalk.cyan : chalk.gray;
+              console.log(color(`    ${line}`));
+            }
+          }
+        }
+        console.log('');
+      }
+      console.log(chalk.gray('  Resolve with: sync resolve <path> <local|remote|both>\n'));
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Listing conflicts failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+syncCmd
+  .command('resolve <path> <choice>')
+  .description('Resolve a pending conflict: keep local, remote, or both')
+  .action(async (path, choice) => {
+    try {
+      const result = await resolvePendingConflict(path, choice);
+      console.log(chalk.green(`\n✓ Resolved ${result.path} (${choice})`));
+      if (result.backupPath) {
+        console.log(chalk.gray(`  Local version backed up to ${result.backupPath}`));
+      }
+      if (result.remoteBackupPath) {
+        console.log(chalk.gray(`  Remote version backed up to ${result.remoteBackupPath} on the instance`));
+      }
+      console.log('');
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Resolve failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+syncCmd
+  .command('decrypt [path]')
+  .description('Give the agent a plaintext copy of an encrypted file, or list/clear those copies')
+  .option('--clear', 'Remove the plaintext copy of [path], or all of them')
+  .action(async (path, options) => {
+    try {
+      if (options.clear) {
+        const { removed } = await clearDecryptedFiles(path);
+        console.log(chalk.green(`\n✓ Removed ${removed.length} plaintext copies from the remote\n`));
+        return;
+      }
+      
+      if (path) {
+        const result = await exposeDecryptedFile(path);
+        console.log(chalk.green(`\n✓ Decrypted ${result.path} for the agent`));
+        console.log(chalk.gray(`  Remote plaintext copy: ${result.remotePath}`));
+        console.log(chalk.gray('  Remove it with `sync decrypt --clear` when done\n'));
+        return;
+      }
+      
+      const { encryption } = await getSyncStatus();
+      console.log(chalk.blue.bold('\n🔒 Encryption\n'));
+      console.log(`  Key: ${encryption.keyPath}${encryption.keyExists ? '' : chalk.yellow(' (not created yet)')}`);
+      console.log(`  Encrypted on remote: ${encryption.encrypted.length} files`);
+      if (encryption.plaintext.length > 0) {
+        console.log(chalk.yellow(`  Still plaintext on remote (encrypted on next sync): ${encryption.plaintext.length}`));
+      }
+      if (encryption.decryptedOnRemote.length === 0) {
+        console.log(chalk.gray('  No plaintext copies on the remote.\n'));
+        return;
+      }
+      console.log(chalk.white.bold('\n  Plaintext copies on the remote:'));
+      for (const entry of encryption.decryptedOnRemote) {
+        console.log(`    ${entry.path} ${chalk.gray(`→ ${entry.remotePath} (${new Date(entry.exposedAt).toLocaleString()})`)}`);
+      }
+      console.log('');
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Decrypt failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+syncCmd
+  .command('backups [path]')
+  .description('List backed-up file versions, optionally for one path or folder')
+  .option('--prune', 'Apply SYNC_BACKUP_KEEP / SYNC_BACKUP_DAYS retention now')
+  .action(async (path, options) => {
+    try {
+      if (options.prune) {
+        const { removed } = await pruneBackups();
+        console.log(chalk.green(`\n✓ Pruned ${removed.length} backups\n`));
+        return;
+      }
+      
+      const backups = listBackups({ path });
+      console.log(chalk.blue.bold('\n🗄  Sync Backups\n'));
+      
+      if (backups.length === 0) {
+        console.log(chalk.gray('  No backups found.\n'));
+        return;
+      }
+      
+      for (const b of backups) {
+        console.log(`  ${chalk.white(b.path)}  ${chalk.gray(`${new Date(b.createdAt).toLocaleString()}  ${b.reason}, ${b.location}${b.size != null ? `, ${b.size} bytes` : ''}  [${b.id}]`)}`);
+      }
+      console.log('');
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Listing backups failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+syncCmd
+  .command('restore <path>')
+  .description('Restore a file from its backups into the local sync folder')
+  .option('--at <time>', 'Restore the newest backup taken at or before this time')
+  .option('--id <id>', 'Restore a specific backup (see `sync backups`)')
+  .action(async (path, options) => {
+    try {
+      const result = await restoreBackup(path, { at: options.at, id: options.id });
+      console.log(chalk.green(`\n✓ Restored ${result.path} from ${new Date(result.restoredFrom.createdAt).toLocaleString()}`));
+      if (result.previousBackup) {
+        console.log(chalk.gray(`  Previous version backed up to ${result.previousBackup}`));
+      }
+      console.log(chalk.gray('  Run `sync` to push it to the instance.\n'));
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Restore failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const snapshotCmd = program
+  .command('snapshot')
+  .description('Point-in-time snapshots of all sync folders');
+
+snapshotCmd
+  .command('create')
+  .description('Snapshot the local sync folders (run `sync` first to include remote changes)')
+  .option('-l, --label <text>', 'Note to store with the snapshot', '')
+  .option('--sync', 'Sync before taking the snapshot')
+  .action(async (options) => {
+    try {
+      if (options.sync) {
+        console.log(chalk.blue('Syncing first...'));
+        await runSync();
+      }
+      const result = await createSnapshot({ label: options.label });
+      console.log(chalk.green(`\n✓ Snapshot ${result.id} created`));
+      console.log(chalk.gray(`  ${result.files} files (${formatMB(result.bytes)}), ${formatMB(result.storedBytes)} of new compressed content\n`));
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Snapshot failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+snapshotCmd
+  .command('list')
+  .description('List snapshots, newest first')
+  .action(() => {
+    try {
+      const snapshots = listSnapshots();
+      console.log(chalk.blue.bold('\n📸 Snapshots\n'));
+      if (snapshots.length === 0) {
+        console.log(chalk.gray('  No snapshots yet. Create one with `snapshot create`.\n'));
+        return;
+      }
+      for (const snapshot of snapshots) {
+        console.log(`  ${chalk.white(snapshot.id)}  ${new Date(snapshot.createdAt).toLocaleString()}  ${snapshot.files} files, ${formatMB(snapshot.bytes)}${snapshot.label ? chalk.gray(`  ${snapshot.label}`) : ''}`);
+      }
+      console.log('');
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Listing snapshots failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+snapshotCmd
+  .command('restore <id>')
+  .description('Roll the sync folders back to a snapshot (id, unique prefix, or "latest") and push it to the instance')
+  .option('--no-push', 'Only restore local files; do not sync afterwards')
+  .option('-v, --verbose', 'List every restored and removed file')
+  .action(async (id, options) => {
+    try {
+      console.log(chalk.blue.bold(`\n↺ Restoring snapshot ${id}...\n`));
+      const result = await restoreSnapshot(id, { push: options.push, verbose: options.verbose });
+      console.log(chalk.green(`  ↺ Restored: ${result.restored.length} files`));
+      console.log(chalk.magenta(`  ✗ Removed (not in snapshot): ${result.removed.length} files`));
+      console.log(chalk.gray(`  = Unchanged: ${result.unchanged} files`));
+      if (result.skippedFolders.length > 0) {
+        console.log(chalk.gray(`  - Not in snapshot, left alone: ${result.skippedFolders.join(', ')}`));
+      }
+      console.log(chalk.gray('  Replaced local versions are in the backup folder (see `sync backups`).'));
+      
+      if (result.pushError) {
+        console.log(chalk.yellow(`\n⚠ Local files restored, but pushing to the instance failed: ${result.pushError}`));
+        console.log(chalk.yellow('  Rerun `snapshot restore` once connected.\n'));
+        process.exit(1);
+      }
+      if (result.sync) {
+        console.log(chalk.cyan(`\n  Pushed: ↑ ${result.sync.uploaded} uploaded, ✗ ${result.sync.deleted} deleted on the instance`));
+        if (result.sync.violations.length > 0) {
+          console.log(chalk.red(`  ⊘ Blocked by folder direction: ${result.sync.violations.length}`));
+        }
+        if (result.sync.errors.length > 0) {
+          console.log(chalk.red(`  ✗ Errors: ${result.sync.errors.length}`));
+          for (const e of result.sync.errors) console.log(chalk.gray(`      ${e.path}: ${e.error}`));
+        }
+      }
+      console.log(chalk.green.bold(`\n✓ Snapshot ${result.id} restored\n`));
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Snapshot restore failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('status')
   .description('Show current status of agent, sync, and connections')
@@ -83,6 +535,7 @@ program
       const agentStatus = await getAgentStatus();
       
       console.log(chalk.white.bold('Connection:'));
+      console.log(`  Instance: ${connStatus.instance}`);
       console.log(`  Host: ${connStatus.host || 'Not configured'}`);
       console.log(`  Status: ${connStatus.connected ? chalk.green('Connected') : chalk.red('Disconnected')}`);
       
@@ -91,6 +544,12 @@ program
       console.log(`  Public files: ${syncStatus.publicFiles}`);
       console.log(`  Private files: ${syncStatus.privateFiles}`);
       console.log(`  Artifacts: ${syncStatus.artifactFiles}`);
+      for (const folder of syncStatus.folders.filter(f => !['public', 'private', 'artifacts'].includes(f.name))) {
+        console.log(`  ${folder.name}: ${folder.files} (${folder.direction})`);
+      }
+      if (syncStatus.folders.some(f => f.encrypt)) {
+        console.log(`  Encrypted on remote: ${syncStatus.encryption.encrypted.length} files (${syncStatus.encryption.plaintext.length} pending)`);
+      }
       
       console.log(chalk.white.bold('\nAgent:'));
       console.log(`  Status: ${agentStatus.running ? chalk.green('Running') : chalk.yellow('Stopped')}`);
@@ -116,12 +575,52 @@ program
         lines: parseInt(options.lines),
         follow: options.follow
       });
+      process.exit(0);
     } catch (error) {
       console.error(chalk.red.bold('\n✗ Failed to get logs:'), error.message);
       process.exit(1);
     }
   });
 
+const tunnelCmd = program
+  .command('tunnel')
+  .description('Forward instance ports to this PC over the SSH connection');
+
+tunnelCmd
+  .command('open <targets...>')
+  .description('Forward gateway, ollama or remote port numbers until Ctrl+C')
+  .option('-l, --local-port <port>', 'Local port to listen on (single target only; default: same as the remote port)')
+  .action(async (targets, options) => {
+    if (options.localPort && targets.length > 1) {
+      console.error(chalk.red.bold('\n✗ --local-port only works with a single target'));
+      process.exit(1);
+    }
+    
+    try {
+      // A port forward needs only the transport; bootstrap could restart the gateway.
+      await connect({ bootstrap: false });
+      console.log(chalk.blue.bold('\n🔀 Tunnels\n'));
+      for (const target of targets) {
+        const tunnel = await openTunnel(target, { localPort: options.localPort });
+        console.log(`  ${chalk.green('✓')} ${tunnel.name}: ${tunnel.url} → instance port ${tunnel.remotePort}`);
+        if (tunnel.name === 'gateway') {
+          const token = (await executeRemote('cat /root/.openclaw/gateway_token 2>/dev/null || true', { quiet: true }).catch(() => '')).trim();
+          if (token) console.log(chalk.gray(`    Web UI: ${tunnel.url}?token=${token}`));
+        }
+      }
+      console.log(chalk.gray('\n  (Press Ctrl+C to close)\n'));
+    } catch (error) {
+      console.error(chalk.red.bold('\n✗ Tunnel failed:'), error.message);
+      process.exit(1);
+    }
+    
+    process.on('SIGINT', async () => {
+      await closeAllTunnels();
+      console.log(chalk.yellow('\nTunnels closed.'));
+      process.exit(0);
+    });
+  });
+
 const agentCmd = program
   .command('agent')
   .description('Control the OpenClaw agent');
@@ -216,13 +715,12 @@ brainCmd
 brainCmd
   .command('index')
   .description('Index files from the sync folders into brain context')
-  .option('-i, --include <list>', 'Comma-separated list: public,private,artifacts', 'public,private,artifacts')
+  .option('-i, --include <list>', 'Comma-separated sync folders (default: all, e.g. public,private,artifacts)')
   .action(async (options) => {
     try {
       const include = options.include
-        .split(',')
-        .map(s => s.trim())
-        .filter(Boolean);
+        ? options.include.split(',').map(s => s.trim()).filter(Boolean)
+        : undefined;
       console.log(chalk.blue.bold('\n🧠 Indexing brain...\n'));
       const result = indexBrain({ include });
       console.log(chalk.green(`  Updated: ${result.updated}`));
@@ -282,7 +780,7 @@ brainCmd
   .description('Create a proposal for a new file (generated on Vast with Ollama)')
   .requiredOption('-p, --path <path>', 'Target path relative to subdir')
   .requiredOption('-n, --instruction <text>', 'Instruction for the file content')
-  .option('-s, --subdir <name>', 'Target subdir: public,private,artifacts', 'private')
+  .option('-s, --subdir <name>', 'Target sync folder (public, private, artifacts or one from sync.config.json)', 'private')
   .option('-c, --context <q>', 'Context query for retrieval', '')
   .option('--overwrite', 'Allow overwriting target file (danger)', false)
   .option('--no-auto-index', 'Do not run index before proposing')
@@ -0,0 +1,117 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { Transform } from 'stream';
+import crypto from 'crypto';
+import { resolveLocalPath } from './paths.js';
+
+// Encrypted files are MAGIC + 12-byte IV + AES-256-GCM ciphertext + 16-byte
+// auth tag. The remote manifest checks for the same magic bytes.
+export const ENCRYPTION_MAGIC = Buffer.from('MJBENC1\n');
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = ENCRYPTION_MAGIC.length + IV_BYTES;
+export const ENCRYPTION_OVERHEAD = HEADER_BYTES + TAG_BYTES;
+
+export function getEncryptionKeyPath() {
+  const configured = process.env.SYNC_ENCRYPTION_KEY_PATH;
+  return configured ? resolveLocalPath(configured) : join(homedir(), '.mattyjacksbot', 'sync.key');
+}
+
+// The key only ever lives on this PC. It is created on the first encrypted
+// upload; without it, encrypted remote copies cannot be read back.
+export function loadEncryptionKey(options = {}) {
+  const { create = false } = options;
+  const keyPath = getEncryptionKeyPath();
+
+  if (!existsSync(keyPath)) {
+    if (!create) {
+      throw new Error(`Encryption key not found at ${keyPath}`);
+    }
+    mkdirSync(dirname(keyPath), { recursive: true });
+    writeFileSync(keyPath, crypto.randomBytes(32).toString('base64') + '\n', { mode: 0o600 });
+  }
+
+  const key = Buffer.from(readFileSync(keyPath, 'utf-8').trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Invalid encryption key at ${keyPath}: expected 32 bytes (base64)`);
+  }
+  return key;
+}
+
+export function isEncryptedBuffer(buffer) {
+  return buffer.length >= ENCRYPTION_OVERHEAD && buffer.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC);
+}
+
+export function createEncryptStream(key) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  let headerSent = false;
+
+  const sendHeader = (stream) => {
+    if (headerSent) return;
+    headerSent = true;
+    stream.push(Buffer.concat([ENCRYPTION_MAGIC, iv]));
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      sendHeader(this);
+      callback(null, cipher.update(chunk));
+    },
+    flush(callback) {
+      sendHeader(this);
+      this.push(cipher.final());
+      callback(null, cipher.getAuthTag());
+    }
+  });
+}
+
+// Holds back the trailing auth tag until the end of the stream, so a truncated
+// or tampered file fails instead of yielding corrupt plaintext.
+export function createDecryptStream(key) {
+  let decipher = null;
+  let pending = Buffer.alloc(0);
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending = Buffer.concat([pending, chunk]);
+      if (!decipher) {
+        if (pending.length < HEADER_BYTES) return callback();
+        if (!pending.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)) {
+          return callback(new Error('File is not encrypted'));
+        }
+        decipher = crypto.createDecipheriv('aes-256-gcm', key, pending.subarray(ENCRYPTION_MAGIC.length, HEADER_BYTES));
+        pending = pending.subarray(HEADER_BYTES);
+      }
+      if (pending.length <= TAG_BYTES) return callback();
+      const body = pending.subarray(0, pending.length - TAG_BYTES);
+      pending = pending.subarray(pending.length - TAG_BYTES);
+      callback(null, decipher.update(body));
+    },
+    flush(callback) {
+      if (!decipher || pending.length !== TAG_BYTES) {
+        return callback(new Error('Encrypted file is truncated'));
+      }
+      try {
+        decipher.setAuthTag(pending);
+        callback(null, decipher.final());
+      } catch {
+        callback(new Error('Encrypted file failed authentication (wrong key or corrupted)'));
+      }
+    }
+  });
+}
+
+export function decryptBuffer(key, buffer) {
+  if (!isEncryptedBuffer(buffer)) {
+    throw new Error('File is not encrypted');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(ENCRYPTION_MAGIC.length, HEADER_BYTES));
+  decipher.setAuthTag(buffer.subarray(buffer.length - TAG_BYTES));
+  try {
+    return Buffer.concat([decipher.update(buffer.subarray(HEADER_BYTES, buffer.length - TAG_BYTES)), decipher.final()]);
+  } catch {
+    throw new Error('Encrypted file failed authentication (wrong key or corrupted)');
+  }
+}
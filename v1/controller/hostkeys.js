@@ -0,0 +1,85 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import crypto from 'crypto';
+import { resolveLocalPath } from './paths.js';
+
+export function getKnownHostsPath() {
+  const configured = process.env.VAST_KNOWN_HOSTS_PATH;
+  return configured ? resolveLocalPath(configured) : join(homedir(), '.mattyjacksbot', 'known_hosts.json');
+}
+
+function loadKnownHosts() {
+  const storePath = getKnownHostsPath();
+  if (!existsSync(storePath)) {
+    return { hosts: {} };
+  }
+  try {
+    const parsed = JSON.parse(readFileSync(storePath, 'utf-8'));
+    return { hosts: parsed.hosts || {} };
+  } catch (error) {
+    throw new Error(`Invalid known hosts file at ${storePath}: ${error.message}`);
+  }
+}
+
+function saveKnownHosts(store) {
+  const storePath = getKnownHostsPath();
+  mkdirSync(dirname(storePath), { recursive: true });
+  writeFileSync(storePath, JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+// Same form as `ssh-keygen -l`, so fingerprints can be checked against the
+// instance's /etc/ssh/*.pub by hand.
+export function fingerprintHostKey(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+}
+
+function hostKeyType(key) {
+  if (key.length < 4) return 'unknown';
+  const length = key.readUInt32BE(0);
+  return key.subarray(4, 4 + length).toString('ascii') || 'unknown';
+}
+
+// Trust on first use: an unknown host:port has its key recorded, a known one
+// must present the same key again. `acceptNew` replaces a changed key.
+export function verifyHostKey(host, port, key, options = {}) {
+  const { acceptNew = false } = options;
+  const id = `${host}:${port}`;
+  const store = loadKnownHosts();
+  const known = store.hosts[id];
+  const fingerprint = fingerprintHostKey(key);
+
+  if (known && known.key === key.toString('base64')) {
+    return { trusted: true, recorded: false, fingerprint, error: null };
+  }
+
+  if (known && !acceptNew) {
+    const error = new Error(
+      `Host key for ${id} has changed (known ${known.fingerprint}, offered ${fingerprint}). ` +
+      'The instance may have been replaced, or someone may be intercepting the connection. ' +
+      'If you replaced the instance, run `v1 connect --accept-new-hostkey`.'
+    );
+    error.code = 'HOST_KEY_MISMATCH';
+    return { trusted: false, recorded: false, fingerprint, error };
+  }
+
+  store.hosts[id] = {
+    type: hostKeyType(key),
+    key: key.toString('base64'),
+    fingerprint,
+    addedAt: new Date().toISOString()
+  };
+  saveKnownHosts(store);
+  return { trusted: true, recorded: true, replaced: !!known, fingerprint, error: null };
+}
+
+// Returns an ssh2 `hostVerifier` for host:port. ssh2 only reports "verification
+// failed", so the outcome of the last check is kept in `verifier.result`.
+export function createHostVerifier(host, port, options = {}) {
+  const verifier = (key) => {
+    verifier.result = verifyHostKey(host, port, key, options);
+    return verifier.result.trusted;
+  };
+  verifier.result = null;
+  return verifier;
+}
@@ -1,7 +1,10 @@
-export { connect, getConnectionStatus, executeRemote } from './ssh.js';
+export { connect, getConnectionStatus, executeRemote, runRemote, streamRemote } from './ssh.js';
+export { listInstances, getInstance, getActiveInstanceName, setActiveInstance, withInstance } from './instances.js';
+export { setPassphrasePrompt } from './keys.js';
 export { runSync, getSyncStatus } from './sync.js';
 export { getAgentStatus, startAgent, stopAgent, setMoltbookMode } from './agent.js';
 export { getBrainStatus, indexBrain, queryBrain, listBrainProposals, createBrainProposal, applyBrainProposal } from './brain.js';
 export { tailLogs } from './logs.js';
+export { openTunnel, closeTunnel, listTunnels } from './tunnels.js';
 export { startServer } from './server.js';
 export { startTelegramBot } from './telegram.js';
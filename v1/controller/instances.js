@@ -0,0 +1,126 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Without instances.json the single VAST_* instance from .env is used under
+// this name, so existing setups keep working unchanged.
+export const DEFAULT_INSTANCE = 'default';
+
+const instanceScope = new AsyncLocalStorage();
+let activeInstance = null;
+
+export function getInstancesConfigPath() {
+  if (process.env.INSTANCES_CONFIG_PATH) {
+    return process.env.INSTANCES_CONFIG_PATH;
+  }
+  return join(dirname(fileURLToPath(import.meta.url)), '..', 'instances.json');
+}
+
+function loadInstancesConfig() {
+  const configPath = getInstancesConfigPath();
+  if (!existsSync(configPath)) {
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid instances config at ${configPath}: ${error.message}`);
+  }
+  if (!parsed.instances || typeof parsed.instances !== 'object' || Object.keys(parsed.instances).length === 0) {
+    throw new Error(`Invalid instances config at ${configPath}: "instances" must name at least one instance`);
+  }
+  // Names end up in sync state file names and Telegram commands.
+  const badName = Object.keys(parsed.instances).find(name => !/^[\w-]+$/.test(name));
+  if (badName !== undefined) {
+    throw new Error(`Invalid instances config at ${configPath}: instance name "${badName}" may only use letters, digits, "_" and "-"`);
+  }
+  return parsed;
+}
+
+// Jump hosts are "user@host:port" strings (comma-separated in .env) or
+// { host, port, user, key } objects. Port defaults to 22; user and key to the
+// instance's own.
+function parseJumpHosts(value, defaults) {
+  if (!value) return [];
+  const entries = Array.isArray(value) ? value : String(value).split(',').map(e => e.trim()).filter(Boolean);
+  return entries.map((entry) => {
+    if (typeof entry === 'string') {
+      const match = entry.match(/^(?:([^@]+)@)?(\[[^\]]+\]|[^:@]+)(?::(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid jump host "${entry}": expected user@host:port`);
+      }
+      entry = { user: match[1], host: match[2].replace(/^\[|\]$/g, ''), port: match[3] };
+    }
+    if (!entry?.host) {
+      throw new Error('Jump host entries need a "host"');
+    }
+    return {
+      host: entry.host,
+      port: parseInt(entry.port || '22'),
+      user: entry.user || defaults.user,
+      keyPath: entry.key || defaults.keyPath
+    };
+  });
+}
+
+// Fields a profile leaves out fall back to the matching .env setting.
+function resolveProfile(name, profile = {}) {
+  const resolved = {
+    name,
+    host: profile.host || null,
+    port: parseInt(profile.port || process.env.VAST_PORT || '22'),
+    user: profile.user || process.env.VAST_USER || 'root',
+    keyPath: profile.key || process.env.VAST_SSH_KEY_PATH || null,
+    // `"agent": false` in a profile keeps its connections off ssh-agent.
+    agent: profile.agent === false ? null : (profile.agent || process.env.SSH_AUTH_SOCK || null),
+    password: process.env.VAST_PASSWORD,
+    model: profile.model || process.env.MODEL_OVERRIDE || null,
+    workspace: profile.workspace || process.env.OPENCLAW_WORKSPACE || '~/mattyjacksbot/v1/agent_runtime/workspace',
+    proxy: (profile.proxy ?? process.env.VAST_SOCKS_PROXY) || null
+  };
+  resolved.jump = parseJumpHosts(profile.jump ?? process.env.VAST_JUMP_HOSTS, resolved);
+  return resolved;
+}
+
+export function listInstances() {
+  const config = loadInstancesConfig();
+  if (!config) {
+    return [resolveProfile(DEFAULT_INSTANCE, { host: process.env.VAST_HOST })];
+  }
+  return Object.entries(config.instances).map(([name, profile]) => resolveProfile(name, profile));
+}
+
+export function getInstance(name = getCurrentInstanceName()) {
+  const instance = listInstances().find(i => i.name === name);
+  if (!instance) {
+    throw new Error(`Unknown instance "${name}". Available: ${listInstances().map(i => i.name).join(', ')}`);
+  }
+  return instance;
+}
+
+// The instance commands go to unless they run inside withInstance(): chosen
+// with --instance, the GUI selector or Telegram /use, else VAST_INSTANCE,
+// else the config's "default", else the first profile.
+export function getActiveInstanceName() {
+  if (activeInstance) return activeInstance;
+  const configured = process.env.VAST_INSTANCE || loadInstancesConfig()?.default;
+  return configured ? getInstance(configured).name : listInstances()[0].name;
+}
+
+export function setActiveInstance(name) {
+  const instance = getInstance(name);
+  activeInstance = instance.name;
+  return instance;
+}
+
+export function getCurrentInstanceName() {
+  return instanceScope.getStore() || getActiveInstanceName();
+}
+
+// Pins everything `fn` does (remote commands, SFTP, sync state) to one
+// instance, even if the active instance changes while it runs.
+export function withInstance(name, fn) {
+  return instanceScope.run(name, fn);
+}
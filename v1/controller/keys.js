@@ -0,0 +1,77 @@
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import ssh2 from 'ssh2';
+
+const { utils } = ssh2;
+
+// Passphrases only live in memory, per key path, so reconnects and jump hosts
+// sharing a key do not ask again. They are never written to .env or disk.
+const passphrases = new Map();
+let passphrasePrompt = null;
+
+const MAX_PASSPHRASE_ATTEMPTS = 3;
+
+// Registers `prompt({ keyPath, attempt })`, which resolves with the passphrase
+// for an encrypted key (or an empty value to give up). The CLI sets one; the
+// server and Telegram bot have no one to ask and rely on ssh-agent instead.
+export function setPassphrasePrompt(prompt) {
+  passphrasePrompt = prompt;
+}
+
+export function authError(message) {
+  const error = new Error(message);
+  error.code = 'AUTH_FAILED';
+  return error;
+}
+
+function isEncryptedKeyError(parsed) {
+  return parsed instanceof Error && /no passphrase given/i.test(parsed.message);
+}
+
+// Reads a private key for ssh2's `privateKey`/`passphrase` options. An
+// encrypted key is unlocked with a remembered or prompted passphrase; without
+// a prompt it is skipped when `agent` is set, so the agent's keys are used.
+export async function loadPrivateKey(keyPath, options = {}) {
+  const { agent = null } = options;
+  const resolvedPath = keyPath.replace('~', homedir());
+  if (!existsSync(resolvedPath)) {
+    if (agent) return {};
+    throw authError(`SSH key not found at ${keyPath}`);
+  }
+
+  const privateKey = readFileSync(resolvedPath);
+  const parsed = utils.parseKey(privateKey);
+  if (!isEncryptedKeyError(parsed)) {
+    if (parsed instanceof Error) {
+      throw authError(`Could not read SSH key ${keyPath}: ${parsed.message}`);
+    }
+    return { privateKey };
+  }
+
+  const remembered = passphrases.get(resolvedPath);
+  if (remembered !== undefined && !(utils.parseKey(privateKey, remembered) instanceof Error)) {
+    return { privateKey, passphrase: remembered };
+  }
+
+  if (!passphrasePrompt) {
+    if (agent) {
+      console.log(`  SSH key ${keyPath} is encrypted; using ssh-agent`);
+      return {};
+    }
+    throw authError(
+      `SSH key ${keyPath} is encrypted. Add it to ssh-agent (ssh-add) and set SSH_AUTH_SOCK, ` +
+      'or connect from the CLI to enter its passphrase'
+    );
+  }
+
+  for (let attempt = 1; attempt <= MAX_PASSPHRASE_ATTEMPTS; attempt += 1) {
+    const passphrase = await passphrasePrompt({ keyPath, attempt });
+    if (!passphrase) break;
+    if (!(utils.parseKey(privateKey, passphrase) instanceof Error)) {
+      passphrases.set(resolvedPath, passphrase);
+      return { privateKey, passphrase };
+    }
+    console.log(`  Incorrect passphrase for ${keyPath}`);
+  }
+  throw authError(`No valid passphrase given for SSH key ${keyPath}`);
+}
@@ -1,4 +1,4 @@
-import { executeRemote } from './ssh.js';
+import { executeRemote, streamRemote, GATEWAY_LOG_PATH } from './ssh.js';
 import chalk from 'chalk';
 
 export async function tailLogs(options = {}) {
@@ -9,7 +9,7 @@ export async function tailLogs(options = {}) {
   if (follow) {
     console.log(chalk.gray('(Press Ctrl+C to stop following)\n'));
     
-    await streamLogs();
+    await printFollowedLogs(lines);
   } else {
     const logs = await getRecentLogs(lines);
     console.log(logs);
@@ -18,66 +18,46 @@ export async function tailLogs(options = {}) {
 
 async function getRecentLogs(lines) {
   try {
-    const gatewayLogs = await executeRemote(
-      `tail -n ${lines} /tmp/openclaw-gateway.log 2>/dev/null || echo "No gateway logs found"`,
-      { quiet: true }
-    );
-    
-    return formatLogs(gatewayLogs);
+    return formatLogs(await getGatewayLogs(lines));
   } catch (error) {
     return `Error fetching logs: ${error.message}`;
   }
 }
 
-async function streamLogs() {
-  const { Client } = await import('ssh2');
-  const { readFileSync } = await import('fs');
-  const { homedir } = await import('os');
-  
-  const config = {
-    host: process.env.VAST_HOST,
-    port: parseInt(process.env.VAST_PORT || '22'),
-    username: process.env.VAST_USER || 'root',
-    privateKey: process.env.VAST_SSH_KEY_PATH 
-      ? readFileSync(process.env.VAST_SSH_KEY_PATH.replace('~', homedir()))
-      : undefined,
-    password: process.env.VAST_PASSWORD
+// Last `lines` lines of the gateway log, unformatted. Shared by the CLI, the
+// server and the Telegram bot.
+export async function getGatewayLogs(lines = 50, options = {}) {
+  return executeRemote(
+    `tail -n ${parseInt(lines) || 50} ${GATEWAY_LOG_PATH} 2>/dev/null || echo "No gateway logs found"`,
+    { quiet: true, signal: options.signal, instance: options.instance }
+  );
+}
+
+// Streams the gateway log as it grows, starting with its last `lines` lines
+// (default none). See streamRemote() for how the stream ends or is cancelled.
+export function followGatewayLogs(options = {}) {
+  const { lines = 0, signal, instance } = options;
+  return streamRemote(`tail -n ${parseInt(lines) || 0} -F ${GATEWAY_LOG_PATH} 2>/dev/null`, { signal, instance });
+}
+
+async function printFollowedLogs(lines) {
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    console.log(chalk.yellow('\nStopping log stream...'));
+    controller.abort();
   };
+  process.once('SIGINT', onInterrupt);
   
-  return new Promise((resolve, reject) => {
-    const conn = new Client();
-    
-    conn.on('ready', () => {
-      conn.exec('tail -f /tmp/openclaw-gateway.log', (err, stream) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        stream.on('data', (data) => {
-          process.stdout.write(formatLogs(data.toString()));
-        });
-        
-        stream.stderr.on('data', (data) => {
-          process.stderr.write(chalk.red(data.toString()));
-        });
-        
-        stream.on('close', () => {
-          conn.end();
-          resolve();
-        });
-        
-        process.on('SIGINT', () => {
-          console.log(chalk.yellow('\nStopping log stream...'));
-          conn.end();
-          resolve();
-        });
-      });
-    });
-    
-    conn.on('error', reject);
-    conn.connect(config);
-  });
+  try {
+    const stream = await followGatewayLogs({ lines, signal: controller.signal });
+    for await (const chunk of stream) {
+      process.stdout.write(formatLogs(chunk.toString()));
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
 }
 
 function formatLogs(raw) {
@@ -0,0 +1,71 @@
+import { existsSync, statSync } from 'fs';
+import { homedir } from 'os';
+import { basename, dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+
+const WINDOWS_RESERVED_NAME = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+// SYNC_ROOT may be written Windows-style (`%USERPROFILE%\Documents\...`, as in
+// .env.example) or POSIX-style (`~/...`); both resolve on either platform.
+export function resolveSyncRoot(configuredRoot) {
+  if (!configuredRoot || !configuredRoot.trim()) {
+    return join(homedir(), 'Documents', 'mattyjacksbot', 'v1');
+  }
+  return resolveLocalPath(configuredRoot);
+}
+
+// Expands %USERPROFILE% and a leading ~; relative paths resolve against `base`.
+export function resolveLocalPath(configuredPath, base = process.cwd()) {
+  let path = configuredPath.trim().replace(/%USERPROFILE%/gi, homedir());
+  if (path === '~' || path.startsWith('~/') || path.startsWith('~\\')) {
+    path = homedir() + path.slice(1);
+  }
+  if (sep === '/') {
+    path = path.replace(/\\/g, '/');
+  }
+  return resolve(base, path);
+}
+
+// Sync keys are always '/'-separated, whatever the local platform uses.
+export function toSyncPath(localRelativePath) {
+  return localRelativePath.split(sep).join('/');
+}
+
+// Cleans a user-supplied path inside a sync folder. Accepts either separator
+// and returns '' for empty paths, drive letters or anything that climbs out
+// with '..'.
+export function normalizeSyncRelPath(p) {
+  const parts = String(p || '').replace(/\\/g, '/').split('/').filter(s => s && s !== '.');
+  if (parts.length === 0 || parts.includes('..') || /^[a-zA-Z]:$/.test(parts[0])) {
+    return '';
+  }
+  return parts.join('/');
+}
+
+export function isInsideDir(base, target) {
+  const rel = relative(base, target);
+  return rel === '' || (rel !== '..' && !rel.startsWith(`..${sep}`) && !isAbsolute(rel));
+}
+
+// Explains why a sync path cannot be created on this machine, or returns null.
+export function localNameProblem(syncPath, platform = process.platform) {
+  if (platform !== 'win32') return null;
+
+  for (const segment of syncPath.split('/')) {
+    if (/[<>:"|?*\\\x00-\x1f]/.test(segment)) return `"${segment}" contains characters Windows does not allow`;
+    if (/[. ]$/.test(segment)) return `"${segment}" ends with a dot or space`;
+    if (WINDOWS_RESERVED_NAME.test(segment)) return `"${segment}" is a reserved name on Windows`;
+  }
+  return null;
+}
+
+// Probes an existing path whose name contains letters: on a case-insensitive
+// filesystem (Windows, default macOS) the case-swapped name is the same file.
+export function isCaseInsensitiveFs(existingPath) {
+  const name = basename(existingPath);
+  const swapped = name.replace(/[a-z]/gi, c => (c === c.toLowerCase() ? c.toUpperCase() : c.toLowerCase()));
+  if (swapped === name) return false;
+
+  const probe = join(dirname(existingPath), swapped);
+  if (!existsSync(probe)) return false;
+  return statSync(probe).ino === statSync(existingPath).ino;
+}
@@ -0,0 +1,121 @@
+import net from 'net';
+
+const SOCKS_REPLIES = {
+  0x01: 'general failure',
+  0x02: 'connection not allowed by ruleset',
+  0x03: 'network unreachable',
+  0x04: 'host unreachable',
+  0x05: 'connection refused',
+  0x06: 'TTL expired',
+  0x07: 'command not supported',
+  0x08: 'address type not supported'
+};
+
+export function parseSocksProxy(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid SOCKS proxy "${url}": expected socks5://[user:pass@]host:port`);
+  }
+  if (!['socks5:', 'socks5h:', 'socks:'].includes(parsed.protocol)) {
+    throw new Error(`Unsupported proxy "${url}": only socks5:// proxies are supported`);
+  }
+  return {
+    host: parsed.hostname.replace(/^\[|\]$/g, ''),
+    port: parseInt(parsed.port || '1080'),
+    username: decodeURIComponent(parsed.username),
+    password: decodeURIComponent(parsed.password)
+  };
+}
+
+// Opens a TCP connection to host:port through a SOCKS5 proxy (RFC 1928),
+// with username/password auth (RFC 1929) when the URL has credentials. The
+// proxy resolves the target name, so hosts only known behind it work.
+export function socksConnect(proxyUrl, host, port, options = {}) {
+  const proxy = parseSocksProxy(proxyUrl);
+  const { timeoutMs = 30000 } = options;
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(proxy.port, proxy.host);
+    let buffer = Buffer.alloc(0);
+    let step = 'greeting';
+
+    const fail = (err) => {
+      socket.destroy();
+      reject(err);
+    };
+
+    const sendConnect = () => {
+      const name = Buffer.from(host);
+      step = 'connect';
+      socket.write(Buffer.concat([
+        Buffer.from([0x05, 0x01, 0x00, 0x03, name.length]),
+        name,
+        Buffer.from([port >> 8, port & 0xff])
+      ]));
+    };
+
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      if (step === 'greeting') {
+        if (buffer.length < 2) return;
+        const method = buffer[1];
+        buffer = buffer.subarray(2);
+        if (method === 0x00) {
+          sendConnect();
+        } else if (method === 0x02 && proxy.username) {
+          const user = Buffer.from(proxy.username);
+          const pass = Buffer.from(proxy.password);
+          step = 'auth';
+          socket.write(Buffer.concat([Buffer.from([0x01, user.length]), user, Buffer.from([pass.length]), pass]));
+        } else {
+          fail(new Error(`SOCKS proxy ${proxy.host}:${proxy.port} requires ${proxy.username ? 'an unsupported' : 'an'} authentication method`));
+          return;
+        }
+      }
+
+      if (step === 'auth') {
+        if (buffer.length < 2) return;
+        if (buffer[1] !== 0x00) {
+          fail(Object.assign(new Error(`SOCKS proxy ${proxy.host}:${proxy.port} rejected the username or password`), { code: 'AUTH_FAILED' }));
+          return;
+        }
+        buffer = buffer.subarray(2);
+        sendConnect();
+      }
+
+      if (step === 'connect') {
+        if (buffer.length < 5) return;
+        if (buffer[1] !== 0x00) {
+          fail(Object.assign(
+            new Error(`SOCKS proxy could not reach ${host}:${port}: ${SOCKS_REPLIES[buffer[1]] || `error ${buffer[1]}`}`),
+            { code: 'HOST_UNREACHABLE' }
+          ));
+          return;
+        }
+        const addressLength = buffer[3] === 0x01 ? 4 : buffer[3] === 0x04 ? 16 : 1 + buffer[4];
+        const replyLength = 4 + addressLength + 2;
+        if (buffer.length < replyLength) return;
+
+        socket.removeListener('data', onData);
+        socket.setTimeout(0);
+        if (buffer.length > replyLength) socket.unshift(buffer.subarray(replyLength));
+        step = 'open';
+        resolve(socket);
+      }
+    };
+
+    socket.setTimeout(timeoutMs, () => fail(Object.assign(new Error(`SOCKS proxy ${proxy.host}:${proxy.port} timed out`), { code: 'ETIMEDOUT' })));
+    socket.on('error', (err) => {
+      if (step !== 'open') {
+        fail(Object.assign(new Error(`SOCKS proxy ${proxy.host}:${proxy.port}: ${err.message}`), { code: err.code }));
+      }
+    });
+    socket.on('connect', () => {
+      socket.write(Buffer.from(proxy.username ? [0x05, 0x02, 0x00, 0x02] : [0x05, 0x01, 0x00]));
+    });
+    socket.on('data', onData);
+  });
+}
@@ -10,11 +10,16 @@ import { execFile } from 'child_process';
 import { promisify } from 'util';
 import dotenv from 'dotenv';
 
-import { connect, getConnectionStatus, executeRemote } from './ssh.js';
-import { runSync, getSyncStatus } from './sync.js';
+import { connect, getConnectionStatus, executeRemote, connectionEvents } from './ssh.js';
+import { runSync, getSyncStatus, getSyncHistory, listBackups, restoreBackup, listPendingConflicts, getConflictDiff, resolvePendingConflict, exposeDecryptedFile, clearDecryptedFiles, listSnapshots, createSnapshot, restoreSnapshot, syncEvents } from './sync.js';
+import { startSyncWatcher, isAutoSyncEnabled } from './watch.js';
 import { getAgentStatus, startAgent, stopAgent, setMoltbookMode, getPendingPosts, approvePost, rejectPost } from './agent.js';
 import { getBrainStatus, indexBrain, queryBrain, listBrainProposals, createBrainProposal, applyBrainProposal } from './brain.js';
 import { startTelegramBot } from './telegram.js';
+import { getGatewayLogs, followGatewayLogs } from './logs.js';
+import { openTunnel, closeTunnel, listTunnels, getTunnelTargets } from './tunnels.js';
+import { listInstances, getInstance, getActiveInstanceName, setActiveInstance } from './instances.js';
+import { parseSocksProxy } from './proxy.js';
 
 const execFileAsync = promisify(execFile);
 
@@ -101,18 +106,18 @@ app.get('/api/status', async (req, res) => {
 app.post('/api/sync/open-folder', async (req, res) => {
   try {
     const { folder } = req.body || {};
-    const allowed = new Set(['root', 'public', 'private', 'artifacts', 'brain']);
-    if (!allowed.has(folder)) {
+    const syncStatus = await getSyncStatus();
+    const syncFolder = syncStatus.folders.find(f => f.name === folder);
+    if (folder !== 'root' && folder !== 'brain' && !syncFolder) {
       return res.status(400).json({ error: 'Invalid folder' });
     }
 
-    const syncStatus = await getSyncStatus();
     const root = syncStatus.syncRoot;
     const targetPath = folder === 'root'
       ? root
       : folder === 'brain'
         ? join(root, 'artifacts', 'brain')
-        : join(root, folder);
+        : syncFolder.localPath;
 
     if (process.platform === 'win32') {
       await execFileAsync('explorer.exe', [targetPath]);
@@ -130,9 +135,37 @@ app.post('/api/sync/open-folder', async (req, res) => {
 
 app.post('/api/connect', async (req, res) => {
   try {
-    const { force = false } = req.body;
-    const result = await connect({ force, verbose: true });
+    const { force = false, acceptNewHostKey = false } = req.body;
+    const result = await connect({ force, acceptNewHostKey, verbose: true });
     res.json(result);
+  } catch (error) {
+    // AUTH_FAILED, HOST_UNREACHABLE or HOST_KEY_MISMATCH when it is one of those
+    res.status(500).json({ error: error.message, code: error.code });
+  }
+});
+
+app.get('/api/instances', (req, res) => {
+  try {
+    res.json({
+      active: getActiveInstanceName(),
+      instances: listInstances().map(({ name, host, port, user, model, workspace }) => ({
+        name, host, port, user, model, workspace,
+        connection: getConnectionStatus(name)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/instances/active', (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (!name) {
+      return res.status(400).json({ error: 'Missing name' });
+    }
+    const instance = setActiveInstance(name);
+    res.json({ active: instance.name, connection: getConnectionStatus(instance.name) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -140,8 +173,124 @@ app.post('/api/connect', async (req, res) => {
 
 app.post('/api/sync', async (req, res) => {
   try {
-    const { dryRun = false } = req.body;
-    const result = await runSync({ dryRun, verbose: true });
+    const { dryRun = false, propagateDeletes = true, allowBulkDelete = false } = req.body;
+    const result = await runSync({ dryRun, propagateDeletes, allowBulkDelete, verbose: true });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sync/history', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '20');
+    res.json({ runs: getSyncHistory({ limit }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sync/backups', (req, res) => {
+  try {
+    res.json({ backups: listBackups({ path: req.query.path }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sync/restore', async (req, res) => {
+  try {
+    const { path, at, id } = req.body || {};
+    if (!path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+    const result = await restoreBackup(path, { at, id });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sync/conflicts', (req, res) => {
+  try {
+    res.json({ conflicts: listPendingConflicts() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sync/conflicts/diff', async (req, res) => {
+  try {
+    if (!req.query.path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+    res.json(await getConflictDiff(req.query.path));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sync/conflicts/resolve', async (req, res) => {
+  try {
+    const { path, choice } = req.body || {};
+    if (!path || !choice) {
+      return res.status(400).json({ error: 'path and choice are required' });
+    }
+    const result = await resolvePendingConflict(path, choice);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sync/decrypt', async (req, res) => {
+  try {
+    const { path } = req.body || {};
+    if (!path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+    const result = await exposeDecryptedFile(path);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sync/decrypt/clear', async (req, res) => {
+  try {
+    const { path } = req.body || {};
+    const result = await clearDecryptedFiles(path || null);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sync/snapshots', (req, res) => {
+  try {
+    res.json({ snapshots: listSnapshots() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sync/snapshots', async (req, res) => {
+  try {
+    const { label } = req.body || {};
+    const result = await createSnapshot({ label });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sync/snapshots/restore', async (req, res) => {
+  try {
+    const { id, push = true } = req.body || {};
+    if (!id) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+    const result = await restoreSnapshot(id, { push });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -215,22 +364,36 @@ app.post('/api/moltbook/reject/:postId', async (req, res) => {
 app.get('/api/logs', async (req, res) => {
   try {
     const lines = parseInt(req.query.lines || '100');
-    const logs = await executeRemote(
-      `tail -n ${lines} /root/.openclaw/run/gateway.log 2>/dev/null || echo "No logs"`,
-      { quiet: true }
-    );
+    // Stop the remote tail if the browser goes away before it answers.
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    const logs = await getGatewayLogs(lines, { signal: controller.signal });
     res.json({ logs });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// The manual tunnel command has to take the same route as the controller.
+// OpenSSH uses either -J or a ProxyCommand, so with both only -J is shown.
+function describeSshRoute(instance) {
+  if (instance.jump.length > 0) {
+    return ` -J ${instance.jump.map(hop => `${hop.user}@${hop.host}:${hop.port}`).join(',')}`;
+  }
+  if (instance.proxy) {
+    const proxy = parseSocksProxy(instance.proxy);
+    return ` -o ProxyCommand="nc -X 5 -x ${proxy.host}:${proxy.port} %h %p"`;
+  }
+  return '';
+}
+
 app.post('/api/openclaw/webui', async (req, res) => {
   try {
     const gatewayPort = process.env.OPENCLAW_GATEWAY_PORT || '18789';
-    const tunnelCmd = `ssh -N -L ${gatewayPort}:127.0.0.1:${gatewayPort} -p ${process.env.VAST_PORT} ${process.env.VAST_USER}@${process.env.VAST_HOST} -i ${process.env.VAST_SSH_KEY_PATH}`;
+    const instance = getInstance();
+    const tunnelCmd = `ssh -N -L ${gatewayPort}:127.0.0.1:${gatewayPort}${describeSshRoute(instance)} -p ${instance.port} ${instance.user}@${instance.host}${instance.keyPath ? ` -i ${instance.keyPath}` : ''}`;
     
-    const { connected } = getConnectionStatus();
+    const { connected } = getConnectionStatus(instance.name);
     
     if (!connected) {
       return res.json({ 
@@ -252,14 +415,30 @@ app.post('/api/openclaw/webui', async (req, res) => {
       // Connection may have dropped, return safe fallback
     }
     
-    const tokenizedUrl = token ? `http://localhost:${gatewayPort}/?token=${token}` : `http://localhost:${gatewayPort}/`;
+    // Forward the gateway through the controller's own connection. If that
+    // fails (e.g. the local port is taken), the manual tunnel command remains.
+    let tunnel = null;
+    let tunnelError = null;
+    if (isRunning) {
+      try {
+        tunnel = await openTunnel('gateway', { instance: instance.name });
+      } catch (error) {
+        tunnelError = error.message;
+      }
+    }
+    
+    const localPort = tunnel ? tunnel.localPort : gatewayPort;
+    const tokenizedUrl = token ? `http://localhost:${localPort}/?token=${token}` : `http://localhost:${localPort}/`;
     
     res.json({ 
       success: isRunning,
       port: gatewayPort,
-      message: isRunning 
-        ? `Gateway running! Set up tunnel, then open the tokenized URL below.`
-        : 'Gateway may not be running. Try clicking Connect.',
+      message: !isRunning
+        ? 'Gateway may not be running. Try clicking Connect.'
+        : tunnel
+          ? `Gateway running and forwarded to localhost:${localPort}. Open the tokenized URL below.`
+          : `Gateway running, but the tunnel could not be opened (${tunnelError}). Set up the tunnel yourself, then open the tokenized URL below.`,
+      tunnel,
       tunnelCommand: tunnelCmd,
       webUrl: tokenizedUrl,
       token: token || null
@@ -269,6 +448,38 @@ app.post('/api/openclaw/webui', async (req, res) => {
   }
 });
 
+app.get('/api/tunnels', (req, res) => {
+  try {
+    res.json({ tunnels: listTunnels(), targets: getTunnelTargets() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/tunnels', async (req, res) => {
+  try {
+    const { target, localPort } = req.body || {};
+    if (!target) {
+      return res.status(400).json({ error: 'Missing target' });
+    }
+    res.json(await openTunnel(String(target), { localPort }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/tunnels/close', async (req, res) => {
+  try {
+    const { localPort } = req.body || {};
+    if (!localPort) {
+      return res.status(400).json({ error: 'Missing localPort' });
+    }
+    res.json(await closeTunnel(localPort));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/config', (req, res) => {
   res.json({
     syncRoot: process.env.SYNC_ROOT,
@@ -349,15 +560,58 @@ if (existsSync(UI_DIST)) {
   });
 }
 
-wss.on('connection', (ws) => {
+function broadcast(message) {
+  const payload = JSON.stringify(message);
+  for (const client of wss.clients) {
+    if (client.readyState === client.OPEN) {
+      client.send(payload);
+    }
+  }
+}
+
+for (const event of ['start', 'file', 'progress', 'done', 'error']) {
+  syncEvents.on(event, (data) => broadcast({ type: 'sync', event, ...data }));
+}
+
+for (const event of ['connecting', 'connected', 'disconnected', 'reconnecting', 'reconnect_failed']) {
+  connectionEvents.on(event, (data) => broadcast({ type: 'connection', event, ...data }));
+}
+
+wss.on('connection', (ws, req) => {
+  const token = new URL(req.url || '/', 'http://localhost').searchParams.get('token');
+  if (!token || token !== getOrCreateAuthToken()) {
+    ws.close(1008, 'Unauthorized');
+    return;
+  }
+  
   console.log('WebSocket client connected');
   
+  // At most one gateway log stream per client, stopped on unsubscribe or close.
+  let logStream = null;
+  const stopLogStream = () => {
+    logStream?.abort();
+    logStream = null;
+  };
+  
   ws.on('message', async (message) => {
     try {
       const data = JSON.parse(message);
       
       if (data.type === 'subscribe_logs') {
-        // Stream logs via WebSocket
+        stopLogStream();
+        const controller = new AbortController();
+        logStream = controller;
+        const stream = await followGatewayLogs({ signal: controller.signal });
+        stream.on('data', (chunk) => {
+          if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type: 'logs', data: chunk.toString() }));
+        });
+        stream.on('error', (error) => {
+          if (error.name !== 'AbortError' && ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify({ type: 'logs', error: error.message }));
+          }
+        });
+      } else if (data.type === 'unsubscribe_logs') {
+        stopLogStream();
       }
     } catch (error) {
       ws.send(JSON.stringify({ error: error.message }));
@@ -365,6 +619,7 @@ wss.on('connection', (ws) => {
   });
   
   ws.on('close', () => {
+    stopLogStream();
     console.log('WebSocket client disconnected');
   });
 });
@@ -387,6 +642,14 @@ export function startServer() {
 
   startTelegramBot();
   
+  // The watcher syncs whichever instance is active when each run is queued.
+  if (isAutoSyncEnabled() && getInstance().host) {
+    const watcher = startSyncWatcher({
+      onError: (error, trigger) => console.error(`Auto sync (${trigger}) failed: ${error.message}`)
+    });
+    console.log(`🔄 Auto sync enabled (interval: ${watcher.intervalSeconds || 'off'}s, watching local folders)`);
+  }
+  
   return server;
 }
 
@@ -1,22 +1,79 @@
 import { Client } from 'ssh2';
-import { readFileSync, existsSync } from 'fs';
+import { existsSync } from 'fs';
 import { join } from 'path';
-import { homedir } from 'os';
 import dns from 'dns';
+import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
 import { getBootstrapScript } from './bootstrap.js';
+import { DEFAULT_INSTANCE, getInstance, getCurrentInstanceName, withInstance } from './instances.js';
+import { createHostVerifier } from './hostkeys.js';
+import { socksConnect } from './proxy.js';
+import { loadPrivateKey } from './keys.js';
+
+// Emits 'connecting', 'connected', 'disconnected', 'reconnecting' and
+// 'reconnect_failed' with the instance's connection state (see getConnectionStatus).
+export const connectionEvents = new EventEmitter();
+
+// One connection per instance profile; commands go to the current instance
+// unless `options.instance` names another.
+const connections = new Map();
+const runningCommands = new Set();
+const closingConnections = new WeakSet();
+
+// startGateway() writes the gateway's output here; logs and diagnostics read it.
+export const GATEWAY_LOG_PATH = '/root/.openclaw/run/gateway.log';
+
+function getConnection(name = getCurrentInstanceName()) {
+  if (!connections.has(name)) {
+    connections.set(name, {
+      name,
+      client: null,
+      config: null,
+      sftp: null,
+      pendingConnect: null,
+      pendingSftp: null,
+      bootstrapped: false,
+      acceptNewHostKey: false,
+      generation: 0,
+      state: { state: 'disconnected', since: null, lastError: null, lastErrorCode: null, attempt: 0 }
+    });
+  }
+  return connections.get(name);
+}
 
-let sshConnection = null;
-let connectionConfig = null;
+// Remote paths are written as `~/...` (relative to the remote home) or as
+// absolute paths. Shell commands get them single-quoted so filenames with
+// spaces, quotes, `$` or backticks are passed through literally.
+export function getRemoteSyncRoot() {
+  const root = (process.env.SYNC_REMOTE_ROOT || '~/mattyjacksbot/v1/sync').trim().replace(/\/+$/, '');
+  return root || '~';
+}
+
+export function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
 
-function getConfig() {
+export function remoteShellPath(path) {
+  if (path === '~') return '"$HOME"';
+  if (path.startsWith('~/')) return `"$HOME"/${shellQuote(path.slice(2))}`;
+  if (path.startsWith('/')) return shellQuote(path);
+  return `"$HOME"/${shellQuote(path)}`;
+}
+
+// SFTP resolves relative paths against the remote home directory.
+export function remoteSftpPath(path) {
+  if (path === '~') return '.';
+  if (path.startsWith('~/')) return path.slice(2);
+  return path;
+}
+
+function getConfig(instance) {
   return {
-    host: process.env.VAST_HOST,
-    port: parseInt(process.env.VAST_PORT || '22'),
-    username: process.env.VAST_USER || 'root',
-    privateKey: process.env.VAST_SSH_KEY_PATH 
-      ? readFileSync(process.env.VAST_SSH_KEY_PATH.replace('~', homedir()))
-      : undefined,
-    password: process.env.VAST_PASSWORD,
+    host: instance.host,
+    port: instance.port,
+    username: instance.user,
+    agent: instance.agent,
+    password: instance.password,
     readyTimeout: parseInt(process.env.VAST_SSH_READY_TIMEOUT_MS || '30000'),
     keepaliveInterval: parseInt(process.env.VAST_SSH_KEEPALIVE_INTERVAL_MS || '10000'),
     keepaliveCountMax: parseInt(process.env.VAST_SSH_KEEPALIVE_COUNT_MAX || '3')
@@ -31,7 +88,45 @@ function isRetryableConnectError(err) {
   return msg.includes('econnrefused') || msg.includes('econnreset') || msg.includes('timed out');
 }
 
-async function resolveHostAddresses(host) {
+const CONNECT_ERROR_KINDS = {
+  AUTH_FAILED: {
+    label: 'authentication failed',
+    hint: 'Check the user, the SSH key (VAST_SSH_KEY_PATH or the instance\'s "key") or ssh-agent keys, and any proxy credentials'
+  },
+  HOST_UNREACHABLE: {
+    label: 'host unreachable',
+    hint: 'Check that the instance is running and its host, port, jump hosts and proxy'
+  },
+  HOST_KEY_MISMATCH: { label: 'host key mismatch', hint: null }
+};
+
+// Sorts a failed connect into the cases that need different fixes: the
+// credentials, the network path, or a changed host key. Anything else is
+// reported as-is with code CONNECT_FAILED.
+function classifyConnectError(err) {
+  if (err?.code in CONNECT_ERROR_KINDS) return err.code;
+  if (err?.level === 'client-authentication') return 'AUTH_FAILED';
+  if (err?.level === 'client-timeout' || err?.code === 'ENOTFOUND' || err?.code === 'EAI_AGAIN' || isRetryableConnectError(err)) {
+    return 'HOST_UNREACHABLE';
+  }
+  return 'CONNECT_FAILED';
+}
+
+function connectFailedError(prefix, err) {
+  const code = classifyConnectError(err);
+  const kind = CONNECT_ERROR_KINDS[code];
+  const message = err?.message || 'unknown error';
+  const error = new Error(kind
+    ? `${prefix} (${kind.label}): ${message}${kind.hint ? `. ${kind.hint}` : ''}`
+    : `${prefix}: ${message}`);
+  error.code = code;
+  return error;
+}
+
+// Behind a proxy or jump host the name is resolved at the far end, so it is
+// passed through as-is.
+async function resolveHostAddresses(host, instance) {
+  if (instance && (instance.proxy || instance.jump.length > 0)) return [host];
   try {
     const results = await dns.promises.lookup(host, { all: true });
     const addresses = results.map(r => r.address).filter(Boolean);
@@ -46,7 +141,7 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function formatProgressBar(percent, width = 28) {
+export function formatProgressBar(percent, width = 28) {
   const p = Math.max(0, Math.min(100, percent));
   const filled = Math.round((p / 100) * width);
   const empty = Math.max(0, width - filled);
@@ -98,33 +193,221 @@ function renderPullProgress(model, progress) {
   process.stdout.write(`\r${line}`);
 }
 
-async function connectOnce(config, options = {}) {
+function setConnectionState(record, state, details = {}) {
+  record.state = {
+    state,
+    since: new Date().toISOString(),
+    lastError: details.error ?? (state === 'connected' ? null : record.state.lastError),
+    lastErrorCode: details.error ? details.errorCode || null : (state === 'connected' ? null : record.state.lastErrorCode),
+    attempt: details.attempt || 0
+  };
+  connectionEvents.emit(state, { ...getConnectionStatus(record.name), ...details });
+}
+
+function logRecordedHostKey(result, label = '') {
+  if (result?.recorded) {
+    console.log(`  ${result.replaced ? 'Replaced' : 'Recorded'} host key${label} ${result.fingerprint}`);
+  }
+}
+
+// One hop of a jump host chain, reached over `sock` (or directly). Its host
+// key is pinned like the instance's own.
+function connectJumpHost(record, hop, config, credentials, sock) {
+  const hostVerifier = createHostVerifier(hop.host, hop.port, { acceptNew: record.acceptNewHostKey });
+  return new Promise((resolve, reject) => {
+    const client = new Client();
+    let ready = false;
+
+    client.on('ready', () => {
+      ready = true;
+      logRecordedHostKey(hostVerifier.result, ` for jump host ${hop.host}`);
+      resolve(client);
+    });
+    // After ready, a failing hop closes the forwarded channel, which drops the
+    // instance connection behind it.
+    client.on('error', (err) => {
+      if (ready) return;
+      const cause = hostVerifier.result?.error || err;
+      reject(Object.assign(new Error(`Jump host ${hop.host}:${hop.port}: ${cause.message}`), { code: cause.code, level: cause.level }));
+    });
+
+    client.connect({
+      ...config,
+      host: hop.host,
+      port: hop.port,
+      username: hop.user,
+      ...credentials,
+      sock,
+      hostVerifier
+    });
+  });
+}
+
+// Opens the path to host:port for an instance behind a SOCKS proxy and/or
+// jump hosts: the proxy reaches the first hop, each jump host forwards to the
+// next, and the last one to the instance. Resolves with the stream ssh2 uses
+// as its socket (null when connecting directly) and close() for the hops.
+async function openRoute(record, config, host, port) {
+  const { proxy, jump } = getInstance(record.name);
+  const hops = [];
+  const close = () => {
+    for (const client of hops) client.end();
+  };
+
+  try {
+    const targets = [...jump, { host, port }];
+    let sock = proxy
+      ? await socksConnect(proxy, targets[0].host, targets[0].port, { timeoutMs: config.readyTimeout })
+      : null;
+    for (const [index, hop] of jump.entries()) {
+      const credentials = hop.keyPath
+        ? { privateKey: undefined, passphrase: undefined, ...await loadPrivateKey(hop.keyPath, { agent: config.agent }) }
+        : {};
+      const client = await connectJumpHost(record, hop, config, credentials, sock);
+      hops.push(client);
+      const next = targets[index + 1];
+      sock = await new Promise((resolve, reject) => {
+        client.forwardOut('127.0.0.1', 0, next.host, next.port, (err, channel) => (
+          err ? reject(new Error(`Jump host ${hop.host} could not reach ${next.host}:${next.port}: ${err.message}`)) : resolve(channel)
+        ));
+      });
+    }
+    return { sock, close };
+  } catch (err) {
+    close();
+    throw err;
+  }
+}
+
+// Host keys are pinned per configured host name and port, whichever address
+// it resolves to (see hostkeys.js).
+async function connectOnce(record, config) {
+  const hostVerifier = createHostVerifier(getInstance(record.name).host, config.port, { acceptNew: record.acceptNewHostKey });
+  const route = await openRoute(record, config, config.host, config.port);
   return new Promise((resolve, reject) => {
     const conn = new Client();
+    let ready = false;
+    let lastError = null;
 
     conn.on('ready', () => {
-      sshConnection = conn;
+      ready = true;
+      logRecordedHostKey(hostVerifier.result);
+      adoptConnection(record, conn);
       resolve(conn);
     });
 
     conn.on('error', (err) => {
-      reject(err);
+      lastError = hostVerifier.result?.error || err;
+      if (!ready) reject(lastError);
     });
 
-    conn.connect(config);
+    // Keepalive failures surface as 'error' followed by 'end'/'close'; either
+    // way the connection is dropped and in-flight commands fail.
+    conn.on('end', () => handleConnectionLost(record, conn, lastError));
+    conn.on('close', () => {
+      route.close();
+      handleConnectionLost(record, conn, lastError);
+    });
+
+    conn.connect({ ...config, ...(route.sock ? { sock: route.sock } : {}), hostVerifier });
   });
 }
 
-async function connectWithRetry(baseConfig, options = {}) {
+function adoptConnection(record, conn) {
+  const previous = record.client;
+  record.client = conn;
+  record.sftp = null;
+  if (previous && previous !== conn) {
+    closingConnections.add(previous);
+    previous.end();
+  }
+}
+
+function handleConnectionLost(record, conn, error) {
+  const reason = error ? error.message : 'connection closed';
+  for (const command of runningCommands) {
+    if (command.conn === conn) {
+      command.fail(new Error(`SSH connection lost while running command: ${reason}`));
+    }
+  }
+  if (record.client !== conn) return;
+  
+  record.client = null;
+  record.sftp = null;
+  if (closingConnections.has(conn)) return;
+  
+  const autoReconnect = record.bootstrapped && getReconnectRetries() > 0;
+  setConnectionState(record, 'disconnected', { error: reason, unexpected: true, reconnecting: autoReconnect });
+  if (autoReconnect) {
+    reconnect(record).catch(() => {});
+  }
+}
+
+function getReconnectRetries() {
+  return parseInt(process.env.VAST_SSH_RECONNECT_RETRIES || '5');
+}
+
+// Re-establishes the transport after a drop without re-running bootstrap.
+// Callers that need the connection meanwhile wait on the same promise.
+function reconnect(record) {
+  if (!record.pendingConnect) {
+    record.pendingConnect = reconnectWithBackoff(record).finally(() => {
+      record.pendingConnect = null;
+    });
+  }
+  return record.pendingConnect;
+}
+
+async function reconnectWithBackoff(record) {
+  const config = record.config || getConfig(getInstance(record.name));
+  const maxAttempts = Math.max(1, getReconnectRetries());
+  const baseDelayMs = parseInt(process.env.VAST_SSH_RECONNECT_DELAY_MS || '1000');
+  const generation = record.generation;
+  const addresses = await resolveHostAddresses(config.host, getInstance(record.name));
+
+  let lastErr = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    if (attempt > 1) {
+      await sleep(Math.min(baseDelayMs * 2 ** (attempt - 2), 30000));
+    }
+    if (generation !== record.generation) {
+      throw new Error('Reconnect cancelled by disconnect');
+    }
+    setConnectionState(record, 'reconnecting', { attempt, maxAttempts });
+
+    for (const hostAddress of addresses) {
+      try {
+        await connectOnce(record, { ...config, host: hostAddress });
+        setConnectionState(record, 'connected', { address: hostAddress, reconnected: true });
+        return { connected: true, host: hostAddress };
+      } catch (err) {
+        lastErr = err;
+        if (!isRetryableConnectError(err)) {
+          throw reconnectFailed(record, err);
+        }
+      }
+    }
+  }
+  throw reconnectFailed(record, lastErr);
+}
+
+function reconnectFailed(record, err) {
+  const error = connectFailedError('SSH reconnect failed', err);
+  setConnectionState(record, 'disconnected', { error: error.message, errorCode: error.code });
+  connectionEvents.emit('reconnect_failed', getConnectionStatus(record.name));
+  return error;
+}
+
+async function connectWithRetry(record, baseConfig) {
   const maxAttempts = parseInt(process.env.VAST_SSH_CONNECT_RETRIES || '5');
-  const addresses = await resolveHostAddresses(baseConfig.host);
+  const addresses = await resolveHostAddresses(baseConfig.host, getInstance(record.name));
 
   let lastErr = null;
   for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
     for (const hostAddress of addresses) {
       const config = { ...baseConfig, host: hostAddress };
       try {
-        const conn = await connectOnce(config, options);
+        const conn = await connectOnce(record, config);
         return { conn, connectedHost: hostAddress };
       } catch (err) {
         lastErr = err;
@@ -141,35 +424,64 @@ async function connectWithRetry(baseConfig, options = {}) {
   throw lastErr || new Error('SSH connection failed');
 }
 
+// Connects and bootstraps the instance (installs, model, gateway). With
+// `bootstrap: false` only the SSH transport is set up, for commands such as
+// port forwarding that must not touch the gateway; reconnects then restore
+// just the transport as well.
 export async function connect(options = {}) {
-  const config = getConfig();
+  const instance = getInstance(options.instance || getCurrentInstanceName());
+  const record = getConnection(instance.name);
+  const config = getConfig(instance);
   
   if (!config.host) {
-    throw new Error('VAST_HOST not configured in .env');
+    throw new Error(instance.name === DEFAULT_INSTANCE
+      ? 'VAST_HOST not configured in .env'
+      : `No host configured for instance "${instance.name}"`);
+  }
+  
+  if (instance.keyPath) {
+    Object.assign(config, await loadPrivateKey(instance.keyPath, { agent: config.agent }));
   }
   
-  if (!config.privateKey && !config.password) {
-    throw new Error('Either VAST_SSH_KEY_PATH or VAST_PASSWORD must be set in .env');
+  if (!config.privateKey && !config.password && !config.agent) {
+    throw new Error(`An SSH key (VAST_SSH_KEY_PATH or the instance's "key"), ssh-agent (SSH_AUTH_SOCK) or VAST_PASSWORD must be set for instance "${instance.name}"`);
   }
   
-  connectionConfig = config;
+  record.config = config;
+  record.generation += 1;
+  // Only this connect may replace a pinned host key, never a later reconnect.
+  record.acceptNewHostKey = !!options.acceptNewHostKey;
+  setConnectionState(record, 'connecting');
 
+  let connectedHost;
   try {
-    const { conn, connectedHost } = await connectWithRetry(config, options);
-    console.log('  SSH connection established');
+    ({ connectedHost } = await connectWithRetry(record, config));
+  } catch (err) {
+    const error = connectFailedError('SSH connection failed', err);
+    setConnectionState(record, 'disconnected', { error: error.message, errorCode: error.code });
+    throw error;
+  } finally {
+    record.acceptNewHostKey = false;
+  }
+  console.log(`  SSH connection established${instance.name === DEFAULT_INSTANCE ? '' : ` (${instance.name})`}`);
+  setConnectionState(record, 'connected', { address: connectedHost });
 
-    try {
-      await bootstrap(conn, options);
-      return { connected: true, host: connectedHost };
-    } catch (error) {
-      throw error;
-    }
+  if (options.bootstrap === false) {
+    record.bootstrapped = true;
+    return { connected: true, host: connectedHost, instance: instance.name };
+  }
+
+  try {
+    // Bootstrap's remote commands all go to this instance.
+    await withInstance(instance.name, () => bootstrap(options));
+    record.bootstrapped = true;
+    return { connected: true, host: connectedHost, instance: instance.name };
   } catch (err) {
     throw new Error(`SSH connection failed: ${err.message}`);
   }
 }
 
-async function bootstrap(conn, options = {}) {
+async function bootstrap(options = {}) {
   const { force = false, verbose = false } = options;
   
   const checkInstalled = await executeRemote('which openclaw && which ollama', { quiet: true }).catch(() => null);
@@ -189,9 +501,10 @@ async function bootstrap(conn, options = {}) {
   
   console.log('  Running bootstrap script...');
   
-  const script = getBootstrapScript();
+  const script = getBootstrapScript({ syncRoot: remoteShellPath(getRemoteSyncRoot()) });
   
-  await executeRemote(script, { verbose });
+  // Installs and downloads can run far longer than a normal command.
+  await executeRemote(script, { verbose, timeoutMs: 0 });
   
   const vram = await detectVRAM();
   console.log(`  Detected VRAM: ${vram}GB`);
@@ -207,7 +520,7 @@ async function detectVRAM() {
   try {
     const result = await executeRemote(
       "nvidia-smi --query-gpu=memory.total --format=csv,noheader,nounits | head -1",
-      { quiet: true }
+      { quiet: true, timeoutMs: 30000 }
     );
     const vramMB = parseInt(result.trim());
     return Math.floor(vramMB / 1024);
@@ -219,7 +532,7 @@ async function detectVRAM() {
 
 function selectModelForVRAM(vramGB) {
   const family = process.env.MODEL_FAMILY || 'qwen3-coder';
-  const override = process.env.MODEL_OVERRIDE;
+  const override = getInstance().model;
   
   if (override) {
     return override;
@@ -350,7 +663,7 @@ async function pullModelForVRAM(vramGB) {
   throw new Error(
     `Model pull failed for all candidates. ` +
     `Primary was "${primaryModel}". ` +
-    `Set MODEL_OVERRIDE in .env to a valid Ollama model name (for example, one that works with: ollama pull <model>). ` +
+    `Set MODEL_OVERRIDE in .env (or the instance's "model") to a valid Ollama model name (for example, one that works with: ollama pull <model>). ` +
     `Last error: ${lastError?.message || 'unknown error'}`
   );
 }
@@ -361,7 +674,7 @@ async function ensureModelPulled(vramGB) {
   const currentModel = await executeRemote('cat ~/.openclaw/current_model 2>/dev/null || echo ""', { quiet: true });
   
   if (currentModel.trim() !== model) {
-    console.log(`  Model mismatch, pulling: ${model} (set MODEL_OVERRIDE to force a specific tag)`);
+    console.log(`  Model mismatch, pulling: ${model} (set MODEL_OVERRIDE or the instance's "model" to force a specific tag)`);
     await pullModelForVRAM(vramGB);
   } else {
     console.log(`  Model ready: ${model}`);
@@ -389,8 +702,7 @@ async function ensureGatewayRunning() {
       return;
     }
 
-    const logPath = '/root/.openclaw/run/gateway.log';
-    const tail = await executeRemote(`tail -n 80 ${logPath} 2>/dev/null || true`, { quiet: true }).catch(() => '');
+    const tail = await executeRemote(`tail -n 80 ${GATEWAY_LOG_PATH} 2>/dev/null || true`, { quiet: true }).catch(() => '');
     if (tail.includes('Invalid config at') || tail.includes('Config invalid')) {
       console.log('  Gateway running but config is invalid, restarting...');
       await startGateway();
@@ -407,13 +719,13 @@ async function ensureGatewayRunning() {
 }
 
 function getSelectedModel() {
-  return process.env.MODEL_OVERRIDE || process.env.SELECTED_MODEL || 'qwen3:8b';
+  return getInstance().model || process.env.SELECTED_MODEL || 'qwen3:8b';
 }
 
 async function ensureOpenclawConfig() {
-  const workspace = process.env.OPENCLAW_WORKSPACE || '~/mattyjacksbot/v1/agent_runtime/workspace';
+  const { workspace, model: instanceModel } = getInstance();
   let model = getSelectedModel();
-  if (!process.env.MODEL_OVERRIDE && !process.env.SELECTED_MODEL) {
+  if (!instanceModel && !process.env.SELECTED_MODEL) {
     const currentModel = await executeRemote('cat ~/.openclaw/current_model 2>/dev/null || echo ""', { quiet: true }).catch(() => '');
     if (currentModel.trim()) model = currentModel.trim();
   }
@@ -559,7 +871,7 @@ async function ensureGatewayToken() {
 async function startGateway() {
   const port = process.env.OPENCLAW_GATEWAY_PORT || '18789';
   const runDir = '/root/.openclaw/run';
-  const logPath = '/root/.openclaw/run/gateway.log';
+  const logPath = GATEWAY_LOG_PATH;
   const pidPath = '/root/.openclaw/run/gateway.pid';
   const watchdogPath = '/root/.openclaw/run/gateway_watchdog.sh';
   const watchdogPidPath = '/root/.openclaw/run/gateway_watchdog.pid';
@@ -710,33 +1022,105 @@ async function startGateway() {
 }
 
 async function setupWorkspace() {
-  const workspace = process.env.OPENCLAW_WORKSPACE || '~/mattyjacksbot/v1/agent_runtime/workspace';
+  const { workspace } = getInstance();
+  
+  const syncRoot = remoteShellPath(getRemoteSyncRoot());
   
   await executeRemote(`
-    mkdir -p ${workspace}/skills
-    mkdir -p ~/mattyjacksbot/v1/sync/public
-    mkdir -p ~/mattyjacksbot/v1/sync/private
-    mkdir -p ~/mattyjacksbot/v1/sync/artifacts
-    mkdir -p ~/mattyjacksbot/v1/sync/state
+    mkdir -p ${remoteShellPath(workspace)}/skills
+    mkdir -p ${syncRoot}/public
+    mkdir -p ${syncRoot}/private
+    mkdir -p ${syncRoot}/artifacts
+    mkdir -p ${syncRoot}/state
   `, { quiet: true });
   
   console.log('  Workspace directories created');
 }
 
-export async function executeRemote(command, options = {}) {
-  const { quiet = false, verbose = false } = options;
+// Concurrent callers (parallel sync transfers) share one connect. Once the
+// instance has been bootstrapped, a lost connection only needs the transport.
+function ensureConnected(record) {
+  if (record.client) return Promise.resolve();
+  if (!record.pendingConnect) {
+    if (record.bootstrapped) return reconnect(record);
+    record.pendingConnect = connect({ instance: record.name, force: false, verbose: false }).finally(() => {
+      record.pendingConnect = null;
+    });
+  }
+  return record.pendingConnect;
+}
+
+function getCommandTimeoutMs() {
+  return parseInt(process.env.VAST_SSH_COMMAND_TIMEOUT_MS || '300000');
+}
+
+function describeCommand(command) {
+  const firstLine = command.trim().split('\n')[0];
+  return firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine;
+}
+
+// Runs a command and resolves with { stdout, stderr, code, signal } whatever
+// the exit status. Rejects only when the command could not run to completion:
+// it timed out (`timeoutMs`, default VAST_SSH_COMMAND_TIMEOUT_MS, 0 = none),
+// was cancelled through `signal`, or the connection dropped. Timeouts and
+// aborts send KILL to the remote process and close the channel.
+export async function runRemote(command, options = {}) {
+  const { quiet = false, verbose = false, timeoutMs = getCommandTimeoutMs(), signal } = options;
+  const record = getConnection(options.instance);
   
-  if (!sshConnection) {
-    const config = getConfig();
-    await connect({ force: false, verbose: false });
+  signal?.throwIfAborted();
+  if (!record.client) {
+    await ensureConnected(record);
   }
   
+  // A command in flight when the connection drops fails instead of hanging;
+  // it is not re-run, since it may already have had side effects.
   const runOnce = () => new Promise((resolve, reject) => {
-    sshConnection.exec(command, (err, stream) => {
+    signal?.throwIfAborted();
+    const conn = record.client;
+    let channel = null;
+    let timer = null;
+    
+    const running = { conn, fail: (err) => finish(reject, err) };
+    const finish = (settle, value) => {
+      if (!runningCommands.delete(running)) return;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+    const cancel = (err) => {
+      if (channel) {
+        try {
+          channel.signal('KILL');
+          channel.close();
+        } catch {
+          // Channel already gone; nothing left to stop.
+        }
+      }
+      finish(reject, err);
+    };
+    const onAbort = () => {
+      const err = new Error(`Command aborted: ${describeCommand(command)}`);
+      err.name = 'AbortError';
+      cancel(err);
+    };
+    
+    runningCommands.add(running);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        const err = new Error(`Command timed out after ${timeoutMs}ms: ${describeCommand(command)}`);
+        err.timedOut = true;
+        cancel(err);
+      }, timeoutMs);
+    }
+    
+    const onExec = (err, stream) => {
       if (err) {
-        reject(err);
+        finish(reject, err);
         return;
       }
+      channel = stream;
 
       let stdout = '';
       let stderr = '';
@@ -755,44 +1139,202 @@ export async function executeRemote(command, options = {}) {
         }
       });
 
-      stream.on('close', (code) => {
-        if (code !== 0 && !quiet) {
-          reject(new Error(`Command failed with code ${code}: ${stderr}`));
-        } else {
-          resolve(stdout);
-        }
+      stream.on('close', (code, exitSignal) => {
+        finish(resolve, { stdout, stderr, code: code ?? null, signal: exitSignal ?? null });
       });
-    });
+    };
+    
+    try {
+      conn.exec(command, onExec);
+    } catch (err) {
+      finish(reject, err);
+    }
   });
 
   try {
     return await runOnce();
   } catch (err) {
+    // The exec was refused before it started, so retrying is safe.
     if ((err?.message || '').toLowerCase().includes('not connected')) {
-      disconnect();
-      await connect({ force: false, verbose: false });
+      if (record.client) handleConnectionLost(record, record.client, err);
+      await ensureConnected(record);
       return await runOnce();
     }
     throw err;
   }
 }
 
-export function getConnectionStatus() {
-  const config = getConfig();
+// Resolves with stdout and rejects on a non-zero exit, with `code`, `stdout`
+// and `stderr` on the error. `quiet` only stops `verbose` from echoing output.
+export async function executeRemote(command, options = {}) {
+  const result = await runRemote(command, options);
+  if (result.code !== 0) {
+    const status = result.code === null ? `signal ${result.signal || 'unknown'}` : `code ${result.code}`;
+    const err = new Error(`Command failed with ${status}: ${result.stderr.trim() || describeCommand(command)}`);
+    Object.assign(err, result);
+    throw err;
+  }
+  return result.stdout;
+}
+
+// Runs a long-lived command such as `tail -f` and resolves, once it has
+// started, with a readable stream of its stdout (stderr on `stream.stderr`).
+// Destroying the stream or aborting `signal` kills the remote process. The
+// stream ends when the command exits, and errors on a non-zero exit or a lost
+// connection. There is no timeout.
+export async function streamRemote(command, options = {}) {
+  const { signal } = options;
+  const record = getConnection(options.instance);
   
-  if (!config.host) {
-    return { connected: false, host: null };
+  signal?.throwIfAborted();
+  if (!record.client) {
+    await ensureConnected(record);
+  }
+  
+  const conn = record.client;
+  const channel = await new Promise((resolve, reject) => {
+    try {
+      conn.exec(command, (err, stream) => (err ? reject(err) : resolve(stream)));
+    } catch (err) {
+      reject(err);
+    }
+  });
+  
+  const output = new PassThrough();
+  output.stderr = new PassThrough();
+  let channelClosed = false;
+  const running = { conn, fail: (err) => output.destroy(err) };
+  const onAbort = () => {
+    const err = new Error(`Command aborted: ${describeCommand(command)}`);
+    err.name = 'AbortError';
+    output.destroy(err);
+  };
+  
+  channel.on('data', (data) => {
+    if (!output.write(data)) channel.pause();
+  });
+  output.on('drain', () => channel.resume());
+  channel.stderr.on('data', (data) => output.stderr.write(data));
+  
+  channel.on('close', (code, exitSignal) => {
+    channelClosed = true;
+    output.stderr.end();
+    if (output.destroyed) return;
+    if (code === 0) {
+      output.end();
+      return;
+    }
+    const status = code == null ? `signal ${exitSignal || 'unknown'}` : `code ${code}`;
+    output.destroy(Object.assign(new Error(`Command failed with ${status}: ${describeCommand(command)}`), {
+      code: code ?? null,
+      signal: exitSignal ?? null
+    }));
+  });
+  
+  output.on('close', () => {
+    runningCommands.delete(running);
+    signal?.removeEventListener('abort', onAbort);
+    output.stderr.end();
+    if (channelClosed) return;
+    try {
+      channel.signal('KILL');
+      channel.close();
+    } catch {
+      // Channel already gone; nothing left to stop.
+    }
+  });
+  
+  runningCommands.add(running);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  if (signal?.aborted) onAbort();
+  
+  return output;
+}
+
+// Opens a TCP channel from the instance to `remoteHost:remotePort` (default
+// the instance's own loopback), for the local tunnels in tunnels.js.
+export async function forwardRemotePort(remotePort, options = {}) {
+  const { remoteHost = '127.0.0.1' } = options;
+  const record = getConnection(options.instance);
+  if (!record.client) {
+    await ensureConnected(record);
   }
   
+  const conn = record.client;
+  return new Promise((resolve, reject) => {
+    try {
+      conn.forwardOut('127.0.0.1', 0, remoteHost, remotePort, (err, channel) => (err ? reject(err) : resolve(channel)));
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+export async function getSftp(instance) {
+  const record = getConnection(instance);
+  if (!record.client) {
+    await ensureConnected(record);
+  }
+  
+  if (record.sftp) {
+    return record.sftp;
+  }
+  
+  if (!record.pendingSftp) {
+    record.pendingSftp = new Promise((resolve, reject) => {
+      record.client.sftp((err, sftp) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(sftp);
+      });
+    }).finally(() => {
+      record.pendingSftp = null;
+    });
+  }
+  
+  const session = await record.pendingSftp;
+  record.sftp = session;
+  session.on('close', () => {
+    if (record.sftp === session) {
+      record.sftp = null;
+    }
+  });
+  
+  return session;
+}
+
+export function getConnectionStatus(instance) {
+  const record = getConnection(instance);
+  const host = getInstance(record.name).host;
+  
   return { 
-    connected: sshConnection !== null, 
-    host: config.host 
+    instance: record.name,
+    connected: record.client !== null && record.state.state === 'connected', 
+    host,
+    state: host ? record.state.state : 'disconnected',
+    since: record.state.since,
+    lastError: record.state.lastError,
+    lastErrorCode: record.state.lastErrorCode,
+    attempt: record.state.attempt
   };
 }
 
-export function disconnect() {
-  if (sshConnection) {
-    sshConnection.end();
-    sshConnection = null;
+// Closes the current instance's connection, or every connection with `all`.
+export function disconnect(instance, options = {}) {
+  const records = options.all ? [...connections.values()] : [getConnection(instance)];
+  for (const record of records) {
+    record.generation += 1;
+    record.sftp = null;
+    if (record.client) {
+      const conn = record.client;
+      closingConnections.add(conn);
+      record.client = null;
+      conn.end();
+    }
+    if (record.state.state !== 'disconnected') {
+      setConnectionState(record, 'disconnected', { error: null });
+    }
   }
 }
@@ -1,37 +1,335 @@
-import { executeRemote } from './ssh.js';
-import { existsSync, mkdirSync, readdirSync, statSync, readFileSync, writeFileSync, copyFileSync } from 'fs';
-import { join, relative } from 'path';
-import { homedir } from 'os';
+import { executeRemote, getSftp, getRemoteSyncRoot, remoteShellPath, remoteSftpPath } from './ssh.js';
+import { DEFAULT_INSTANCE, getCurrentInstanceName, withInstance } from './instances.js';
+import { resolveSyncRoot, resolveLocalPath, toSyncPath, localNameProblem, isCaseInsensitiveFs } from './paths.js';
+import { ENCRYPTION_MAGIC, ENCRYPTION_OVERHEAD, getEncryptionKeyPath, loadEncryptionKey, isEncryptedBuffer, createEncryptStream, createDecryptStream, decryptBuffer } from './encryption.js';
+import { existsSync, mkdirSync, readdirSync, statSync, readFileSync, writeFileSync, appendFileSync, copyFileSync, renameSync, unlinkSync, utimesSync, createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { createGzip, createGunzip } from 'zlib';
+import { join, relative, basename, dirname } from 'path';
+import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 
 const SYNC_STATE_FILE = 'sync_state.json';
+const SYNC_JOURNAL_FILE = 'sync_journal.jsonl';
+const BACKUP_CATALOG_FILE = 'backup_catalog.json';
 
-function getSyncRoot() {
-  const configuredRoot = process.env.SYNC_ROOT;
-  if (configuredRoot) {
-    return configuredRoot.replace('%USERPROFILE%', homedir());
+// Emits 'start', 'file', 'done' and 'error' for every run so the server can
+// relay progress to the GUI.
+export const syncEvents = new EventEmitter();
+let syncChain = Promise.resolve();
+let syncRunning = false;
+const TEMP_MARKER = '.sync-tmp-';
+const SYNC_IGNORE_FILE = '.syncignore';
+const SYNC_DIRECTIONS = ['bidirectional', 'push', 'pull'];
+const CONFLICT_CHOICES = { local: 'upload', remote: 'download', both: 'both' };
+const MAX_DIFF_BYTES = 512 * 1024;
+const DECRYPTED_DIR = '.decrypted';
+const SNAPSHOT_DIR = 'snapshots';
+
+// Matches the folder table in docs/ARCHITECTURE.md.
+const DEFAULT_DIRECTIONS = {
+  public: 'bidirectional',
+  private: 'bidirectional',
+  artifacts: 'pull'
+};
+const DEFAULT_FOLDERS = Object.keys(DEFAULT_DIRECTIONS);
+const MOLTBOOK_FOLDERS = ['public'];
+const RESERVED_FOLDER_NAMES = ['state'];
+
+const DEFAULT_SYNC_IGNORE = `# Patterns use .gitignore syntax and apply to every sync folder.
+# Each folder may also contain its own .syncignore.
+*.swp
+*.swo
+*~
+.DS_Store
+Thumbs.db
+node_modules/
+.git/
+`;
+
+export function getSyncRoot() {
+  return resolveSyncRoot(process.env.SYNC_ROOT);
+}
+
+function getSyncConfigPath() {
+  if (process.env.SYNC_CONFIG_PATH) {
+    return process.env.SYNC_CONFIG_PATH;
+  }
+  return join(dirname(fileURLToPath(import.meta.url)), '..', 'sync.config.json');
+}
+
+function loadSyncConfig() {
+  const configPath = getSyncConfigPath();
+  if (!existsSync(configPath)) {
+    return { folders: {} };
+  }
+  try {
+    const parsed = JSON.parse(readFileSync(configPath, 'utf-8'));
+    if (!parsed.folders || typeof parsed.folders !== 'object') {
+      parsed.folders = {};
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid sync config at ${configPath}: ${error.message}`);
+  }
+}
+
+// Env (SYNC_DIRECTION_<FOLDER>) overrides the sync config file, which
+// overrides the documented defaults.
+function getFolderDirection(config, subdir) {
+  const fromEnv = process.env[`SYNC_DIRECTION_${subdir.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+  const direction = (fromEnv || config.folders[subdir]?.direction || DEFAULT_DIRECTIONS[subdir] || 'bidirectional').trim().toLowerCase();
+  if (!SYNC_DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid sync direction "${direction}" for ${subdir}. Must be one of: ${SYNC_DIRECTIONS.join(', ')}`);
+  }
+  return direction;
+}
+
+// The built-in folders plus any extra ones declared in the sync config. Each
+// entry may set `local` (absolute, or relative to the sync root), `remote`
+// (absolute, ~/..., or relative to SYNC_REMOTE_ROOT), `direction`, `ignore`
+// (extra .syncignore lines), `moltbook` (whether posting may use it) and
+// `encrypt` (store files encrypted on the remote; SYNC_ENCRYPT_<FOLDER>
+// in the env overrides it).
+function resolveSyncFolders(config, root = getSyncRoot()) {
+  const names = [...DEFAULT_FOLDERS, ...Object.keys(config.folders).filter(n => !DEFAULT_FOLDERS.includes(n))];
+  
+  return names.map((name) => {
+    const entry = config.folders[name] || {};
+    const encryptFromEnv = process.env[`SYNC_ENCRYPT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+    if (!/^[A-Za-z0-9_-]+$/.test(name) || RESERVED_FOLDER_NAMES.includes(name) || name === getBackupDir()) {
+      throw new Error(`Invalid sync folder name "${name}". Use letters, digits, "-" or "_"; "state" and the backup folder are reserved`);
+    }
+    if (entry.ignore !== undefined && !Array.isArray(entry.ignore)) {
+      throw new Error(`Invalid sync config for ${name}: "ignore" must be a list of patterns`);
+    }
+    
+    const remote = (entry.remote || '').trim().replace(/(.)\/+$/, '$1');
+    return {
+      name,
+      localPath: entry.local ? resolveLocalPath(entry.local, root) : join(root, name),
+      remotePath: !remote
+        ? remoteSyncPath(name)
+        : remote === '~' || remote.startsWith('~/') || remote.startsWith('/')
+          ? remote
+          : remoteSyncPath(remote),
+      direction: getFolderDirection(config, name),
+      ignore: entry.ignore || [],
+      moltbook: entry.moltbook === undefined ? MOLTBOOK_FOLDERS.includes(name) : entry.moltbook === true,
+      encrypt: encryptFromEnv ? encryptFromEnv.trim().toLowerCase() === 'true' : entry.encrypt === true
+    };
+  });
+}
+
+function getSyncFolder(name, root) {
+  const folder = resolveSyncFolders(loadSyncConfig(), root).find(f => f.name === name);
+  if (!folder) {
+    throw new Error(`Unknown sync folder "${name}"`);
   }
-  return join(homedir(), 'Documents', 'mattyjacksbot', 'v1');
+  return folder;
+}
+
+function localFolderPath(root, subdir, ...segments) {
+  return join(getSyncFolder(subdir, root).localPath, ...segments);
+}
+
+// Like remoteSyncPath, but rooted at the folder's configured remote path.
+function remoteFolderPath(subdir, ...segments) {
+  return [getSyncFolder(subdir).remotePath, ...segments].join('/');
+}
+
+function isActionAllowed(direction, action) {
+  if (direction === 'pull') return action === 'download' || action === 'delete_local';
+  if (direction === 'push') return action === 'upload' || action === 'delete_remote';
+  return true;
 }
 
-function ensureLocalDirectories() {
+// Creates the local sync folders, the state and backup folders and a default
+// .syncignore, and returns the sync root.
+export function ensureLocalDirectories() {
   const root = getSyncRoot();
-  const dirs = ['public', 'private', 'artifacts', 'state', '.sync_backups'];
+  const dirs = [
+    ...resolveSyncFolders(loadSyncConfig(), root).map(f => f.localPath),
+    join(root, 'state'),
+    join(root, getBackupDir())
+  ];
   
-  for (const dir of dirs) {
-    const path = join(root, dir);
+  for (const path of dirs) {
     if (!existsSync(path)) {
       mkdirSync(path, { recursive: true });
     }
   }
   
+  const ignorePath = join(root, SYNC_IGNORE_FILE);
+  if (!existsSync(ignorePath)) {
+    writeFileSync(ignorePath, DEFAULT_SYNC_IGNORE);
+  }
+  
   return root;
 }
 
+function globToRegexSource(glob) {
+  let out = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        if (glob[i + 2] === '/') {
+          out += '(?:.*/)?';
+          i += 2;
+        } else {
+          out += '.*';
+          i += 1;
+        }
+      } else {
+        out += '[^/]*';
+      }
+    } else if (c === '?') {
+      out += '[^/]';
+    } else if (c === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        out += '\\[';
+      } else {
+        const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        out += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+        i = end;
+      }
+    } else if (c === '\\' && i + 1 < glob.length) {
+      i += 1;
+      out += glob[i].replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+    } else {
+      out += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return out;
+}
+
+// Compiles .gitignore-style lines into rules. The regex sources only use
+// syntax shared by JavaScript and Python so the remote manifest can apply
+// the same rules while walking.
+function parseIgnoreRules(text, source) {
+  const rules = [];
+  const lines = text.split(/\r?\n/);
+  
+  for (let i = 0; i < lines.length; i += 1) {
+    let line = lines[i].replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+    
+    const pattern = line;
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+    
+    let dirOnly = false;
+    if (line.endsWith('/')) {
+      dirOnly = true;
+      line = line.slice(0, -1);
+    }
+    if (!line) continue;
+    
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) {
+      line = line.slice(1);
+    }
+    
+    rules.push({
+      regex: `^${globToRegexSource(line)}$`,
+      anchored,
+      negate,
+      dirOnly,
+      reason: `matches "${pattern}" (${source}:${i + 1})`
+    });
+  }
+  
+  return rules;
+}
+
+function loadIgnoreRules(root, folder) {
+  const rules = [];
+  const sources = [
+    [join(root, SYNC_IGNORE_FILE), SYNC_IGNORE_FILE],
+    [join(folder.localPath, SYNC_IGNORE_FILE), `${folder.name}/${SYNC_IGNORE_FILE}`]
+  ];
+  
+  for (const [path, source] of sources) {
+    if (existsSync(path)) {
+      rules.push(...parseIgnoreRules(readFileSync(path, 'utf-8'), source));
+    }
+  }
+  if (folder.ignore.length > 0) {
+    rules.push(...parseIgnoreRules(folder.ignore.join('\n'), `sync.config.json folders.${folder.name}.ignore`));
+  }
+  
+  return rules;
+}
+
+// Returns the reason a path is ignored, or null. Paths use '/' separators and
+// are relative to the subdir. Like git, the last matching rule wins.
+const compiledIgnoreRegexes = new Map();
+
+function matchIgnoreRules(rules, relativePath, isDir) {
+  let reason = null;
+  const name = relativePath.slice(relativePath.lastIndexOf('/') + 1);
+  
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+    if (!compiledIgnoreRegexes.has(rule.regex)) {
+      compiledIgnoreRegexes.set(rule.regex, new RegExp(rule.regex));
+    }
+    const target = rule.anchored ? relativePath : name;
+    if (compiledIgnoreRegexes.get(rule.regex).test(target)) {
+      reason = rule.negate ? null : rule.reason;
+    }
+  }
+  
+  return reason;
+}
+
+function getMaxFileBytes() {
+  const mb = parseFloat(process.env.SYNC_MAX_FILE_MB || '0');
+  return mb > 0 ? mb * 1024 * 1024 : 0;
+}
+
+function sizeCapReason(size) {
+  const maxBytes = getMaxFileBytes();
+  if (maxBytes && size > maxBytes) {
+    return `larger than SYNC_MAX_FILE_MB (${(size / 1024 / 1024).toFixed(1)} MB)`;
+  }
+  return null;
+}
+
+// Runs `task` after every queued sync operation, against the instance that
+// was current when it was queued.
+function enqueueSync(task) {
+  const instance = getCurrentInstanceName();
+  const run = syncChain.then(() => withInstance(instance, task));
+  syncChain = run.catch(() => {});
+  return run;
+}
+
+// Sync state records what each side looked like after the last sync, so it is
+// kept per instance: the default instance keeps the original file name.
+function getSyncStatePath(root) {
+  const instance = getCurrentInstanceName();
+  const file = instance === DEFAULT_INSTANCE ? SYNC_STATE_FILE : SYNC_STATE_FILE.replace(/\.json$/, `.${instance}.json`);
+  return join(root, 'state', file);
+}
+
 function loadSyncState(root) {
-  const statePath = join(root, 'state', SYNC_STATE_FILE);
+  const statePath = getSyncStatePath(root);
   if (existsSync(statePath)) {
-    return JSON.parse(readFileSync(statePath, 'utf-8'));
+    const parsed = JSON.parse(readFileSync(statePath, 'utf-8'));
+    if (!parsed.files || typeof parsed.files !== 'object') {
+      parsed.files = {};
+    }
+    return parsed;
   }
   return {
     lastSync: null,
@@ -40,12 +338,35 @@ function loadSyncState(root) {
 }
 
 function saveSyncState(root, state) {
-  const statePath = join(root, 'state', SYNC_STATE_FILE);
+  const statePath = getSyncStatePath(root);
   writeFileSync(statePath, JSON.stringify(state, null, 2));
 }
 
-function getLocalFiles(root, subdir) {
-  const dir = join(root, subdir);
+function appendJournal(root, entry) {
+  appendFileSync(join(root, 'state', SYNC_JOURNAL_FILE), `${JSON.stringify(entry)}\n`);
+}
+
+export function getSyncHistory(options = {}) {
+  const { limit = 20 } = options;
+  const journalPath = join(getSyncRoot(), 'state', SYNC_JOURNAL_FILE);
+  if (!existsSync(journalPath)) return [];
+  
+  const runs = [];
+  for (const line of readFileSync(journalPath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      runs.push(JSON.parse(line));
+    } catch {
+      // skip a partially written line
+    }
+  }
+  
+  return runs.reverse().slice(0, limit);
+}
+
+function getLocalFiles(root, subdir, options = {}) {
+  const { rules = [], ignored = null, oversized = null } = options;
+  const dir = localFolderPath(root, subdir);
   const files = {};
   
   if (!existsSync(dir)) return files;
@@ -55,16 +376,31 @@ function getLocalFiles(root, subdir) {
     
     for (const entry of entries) {
       const fullPath = join(currentDir, entry.name);
-      const relativePath = relative(dir, fullPath);
+      const relativePath = toSyncPath(relative(dir, fullPath));
+      const reason = matchIgnoreRules(rules, relativePath, entry.isDirectory());
+      
+      if (reason) {
+        if (ignored) ignored.push({ path: `${subdir}/${relativePath}${entry.isDirectory() ? '/' : ''}`, side: 'local', reason });
+        continue;
+      }
       
       if (entry.isDirectory()) {
         walk(fullPath);
+      } else if (entry.name.includes(TEMP_MARKER)) {
+        continue;
       } else {
         const stat = statSync(fullPath);
+        const capReason = ignored ? sizeCapReason(stat.size) : null;
+        if (capReason) {
+          ignored.push({ path: `${subdir}/${relativePath}`, side: 'local', reason: capReason });
+          if (oversized) oversized.push(relativePath);
+          continue;
+        }
         files[relativePath] = {
           path: relativePath,
           size: stat.size,
-          mtime: stat.mtimeMs
+          mtime: stat.mtimeMs,
+          ctime: stat.ctimeMs
         };
       }
     }
@@ -74,50 +410,717 @@ function getLocalFiles(root, subdir) {
   return files;
 }
 
-async function getRemoteFiles(subdir) {
-  const remoteRoot = '~/mattyjacksbot/v1/sync';
+// Drops remote files this machine cannot hold from the comparison, so they are
+// neither downloaded nor treated as local deletions. Names that are invalid
+// here are skipped outright. On a case-insensitive filesystem, remote names
+// that differ only in case would overwrite each other, so one per group is
+// kept: the one matching the local file, else the one already synced, else
+// the first by name. A local file whose name matches no remote variant exactly
+// is left alone too, rather than uploading yet another variant.
+function skipUnsyncablePaths(subdir, localFiles, remoteFiles, state, options = {}) {
+  const { caseInsensitive = false } = options;
+  const warnings = [];
+  const skip = (files, path, warning) => {
+    delete files[path];
+    warnings.push({ path: `${subdir}/${path}`, warning });
+  };
+
+  for (const path of Object.keys(remoteFiles)) {
+    const problem = localNameProblem(path);
+    if (problem) skip(remoteFiles, path, problem);
+  }
+
+  if (!caseInsensitive) return warnings;
+
+  const groups = new Map();
+  for (const path of new Set([...Object.keys(localFiles), ...Object.keys(remoteFiles)])) {
+    const folded = path.toLowerCase();
+    if (!groups.has(folded)) groups.set(folded, []);
+    groups.get(folded).push(path);
+  }
+
+  for (const paths of groups.values()) {
+    if (paths.length < 2) continue;
+    const localPath = paths.find(p => localFiles[p]);
+    const remotePaths = paths.filter(p => remoteFiles[p]).sort();
+
+    if (localPath && !remoteFiles[localPath]) {
+      skip(localFiles, localPath, `differs only in case from remote ${remotePaths.join(', ')}`);
+      for (const p of remotePaths) skip(remoteFiles, p, `differs only in case from local ${localPath}`);
+      continue;
+    }
+
+    const kept = localPath || remotePaths.find(p => state.files[`${subdir}/${p}`]) || remotePaths[0];
+    for (const p of remotePaths) {
+      if (p !== kept) skip(remoteFiles, p, `differs only in case from ${kept}`);
+    }
+  }
+
+  return warnings;
+}
+
+// Lists every synced subdir on the remote in a single exec. Output is JSON so
+// filenames containing '|', spaces or newlines survive intact. When hashing is
+// requested the remote keeps its own size/mtime/ctime keyed cache under state/.
+// Encrypted files are flagged and never hashed: their ciphertext hash could
+// not match the plaintext hash kept in the sync state. `missing` lists the
+// folders whose remote directory does not exist.
+async function getRemoteManifest(folders, options = {}) {
+  const { hash = false, rules = {}, maxBytes = 0 } = options;
+  const subdirs = folders.map(f => f.name);
+  const bases = Object.fromEntries(folders.map(f => [f.name, f.remotePath]));
+  const script = `import hashlib, json, os, re, sys
+
+root = os.path.expanduser(${JSON.stringify(getRemoteSyncRoot())})
+subdirs = ${JSON.stringify(subdirs)}
+bases = json.loads(${JSON.stringify(JSON.stringify(bases))})
+want_hash = ${hash ? 'True' : 'False'}
+temp_marker = ${JSON.stringify(TEMP_MARKER)}
+cache_path = os.path.join(root, 'state', 'manifest_hashes.json')
+rules = json.loads(${JSON.stringify(JSON.stringify(rules))})
+max_bytes = ${Math.floor(maxBytes)}
+magic = bytes.fromhex(${JSON.stringify(ENCRYPTION_MAGIC.toString('hex'))})
+
+def is_encrypted(path, size):
+    if size < len(magic):
+        return False
+    try:
+        with open(path, 'rb') as f:
+            return f.read(len(magic)) == magic
+    except OSError:
+        return False
+
+def ignore_reason(subdir_rules, rel, is_dir):
+    reason = None
+    name = rel.rsplit('/', 1)[-1]
+    for rule in subdir_rules:
+        if rule['dirOnly'] and not is_dir:
+            continue
+        target = rel if rule['anchored'] else name
+        if re.match(rule['regex'], target):
+            reason = None if rule['negate'] else rule['reason']
+    return reason
+
+cache = {}
+if want_hash and os.path.exists(cache_path):
+    try:
+        with open(cache_path) as f:
+            cache = json.load(f)
+    except Exception:
+        cache = {}
+
+def sha256(path):
+    h = hashlib.sha256()
+    with open(path, 'rb') as f:
+        for chunk in iter(lambda: f.read(1024 * 1024), b''):
+            h.update(chunk)
+    return h.hexdigest()
+
+out = {}
+ignored = {}
+oversized = {}
+exists = {}
+next_cache = {}
+for subdir in subdirs:
+    base = os.path.expanduser(bases[subdir])
+    exists[subdir] = os.path.isdir(base)
+    subdir_rules = rules.get(subdir, [])
+    entries = []
+    skipped = []
+    too_big = []
+    for dirpath, dirnames, filenames in os.walk(base):
+        kept = []
+        for name in dirnames:
+            rel = os.path.relpath(os.path.join(dirpath, name), base).replace(os.sep, '/')
+            reason = ignore_reason(subdir_rules, rel, True)
+            if reason:
+                skipped.append([rel + '/', reason])
+            else:
+                kept.append(name)
+        dirnames[:] = kept
+        for name in filenames:
+            if temp_marker in name:
+                continue
+            full = os.path.join(dirpath, name)
+            rel = os.path.relpath(full, base).replace(os.sep, '/')
+            reason = ignore_reason(subdir_rules, rel, False)
+            if reason:
+                skipped.append([rel, reason])
+                continue
+            try:
+                st = os.stat(full)
+            except OSError:
+                continue
+            if max_bytes and st.st_size > max_bytes:
+                skipped.append([rel, 'larger than SYNC_MAX_FILE_MB (%.1f MB)' % (st.st_size / 1024.0 / 1024.0)])
+                too_big.append(rel)
+                continue
+            mtime = int(st.st_mtime) * 1000
+            digest = None
+            encrypted = is_encrypted(full, st.st_size)
+            if want_hash and not encrypted:
+                key = subdir + '/' + rel
+                cached = cache.get(key)
+                if cached and cached[0] == st.st_size and cached[1] == mtime and cached[2] == st.st_ctime_ns:
+                    digest = cached[3]
+                else:
+                    try:
+                        digest = sha256(full)
+                    except OSError:
+                        continue
+                next_cache[key] = [st.st_size, mtime, st.st_ctime_ns, digest]
+            entries.append([rel, st.st_size, mtime, digest, encrypted])
+    out[subdir] = entries
+    ignored[subdir] = skipped
+    oversized[subdir] = too_big
+
+if want_hash:
+    os.makedirs(os.path.dirname(cache_path), exist_ok=True)
+    with open(cache_path, 'w') as f:
+        json.dump(next_cache, f)
+
+sys.stdout.write(json.dumps({'files': out, 'ignored': ignored, 'oversized': oversized, 'exists': exists}))
+`;
   
-  try {
-    const result = await executeRemote(
-      `find ${remoteRoot}/${subdir} -type f -exec stat --format='%n|%s|%Y' {} \\; 2>/dev/null || true`,
-      { quiet: true }
-    );
+  // Hashing a large tree for the first time can outlast the default timeout.
+  const raw = await executeRemote(`python3 - << 'PYEOF'\n${script}PYEOF`, { timeoutMs: 0 });
+  const parsed = JSON.parse(raw);
+  
+  // A folder missing on the remote lists no files, which must not be read as
+  // every file having been deleted there.
+  const manifest = { ignored: [], oversized: {}, missing: subdirs.filter(subdir => parsed.exists[subdir] === false) };
+  for (const subdir of subdirs) {
+    for (const [relativePath, reason] of parsed.ignored[subdir] || []) {
+      manifest.ignored.push({ path: `${subdir}/${relativePath}`, side: 'remote', reason });
+    }
+    manifest.oversized[subdir] = parsed.oversized[subdir] || [];
     
     const files = {};
-    const lines = result.trim().split('\n').filter(l => l);
-    
-    for (const line of lines) {
-      const [fullPath, size, mtime] = line.split('|');
-      const relativePath = fullPath.replace(`${remoteRoot}/${subdir}/`, '').replace(/^~\/mattyjacksbot\/v1\/sync\/[^/]+\//, '');
-      
-      if (relativePath && size) {
-        files[relativePath] = {
-          path: relativePath,
-          size: parseInt(size),
-          mtime: parseInt(mtime) * 1000
-        };
-      }
+    for (const [relativePath, size, mtime, digest, encrypted] of parsed.files[subdir] || []) {
+      files[relativePath] = {
+        path: relativePath,
+        size,
+        mtime,
+        ...(digest ? { hash: digest } : {}),
+        ...(encrypted ? { encrypted: true } : {})
+      };
     }
-    
-    return files;
-  } catch {
-    return {};
+    manifest[subdir] = files;
   }
+  return manifest;
 }
 
-function backupFile(root, subdir, relativePath) {
-  const backupDir = process.env.SYNC_BACKUP_DIR || '.sync_backups';
-  const sourcePath = join(root, subdir, relativePath);
+// Joins a path under SYNC_REMOTE_ROOT; pass the result through
+// remoteShellPath or remoteSftpPath before using it.
+function remoteSyncPath(...segments) {
+  return [getRemoteSyncRoot(), ...segments].join('/');
+}
+
+function getBackupDir() {
+  return process.env.SYNC_BACKUP_DIR || '.sync_backups';
+}
+
+// Flattens a synced path into a backup file name; shared by local and remote
+// backups so the same file gets the same name on both sides.
+function backupFileName(subdir, relativePath, timestamp) {
+  return `${subdir}_${relativePath.replace(/[/\\]/g, '_')}_${timestamp}`;
+}
+
+function backupFile(root, subdir, relativePath, options = {}) {
+  const { move = false, reason = 'conflict' } = options;
+  const backupDir = getBackupDir();
+  const sourcePath = localFolderPath(root, subdir, relativePath);
   const timestamp = Date.now();
-  const backupPath = join(root, backupDir, `${subdir}_${relativePath.replace(/[/\\]/g, '_')}_${timestamp}`);
+  const fileName = backupFileName(subdir, relativePath, timestamp);
+  const backupPath = join(root, backupDir, fileName);
   
   if (existsSync(sourcePath)) {
     const backupDirPath = join(root, backupDir);
     if (!existsSync(backupDirPath)) {
       mkdirSync(backupDirPath, { recursive: true });
     }
-    copyFileSync(sourcePath, backupPath);
+    const size = statSync(sourcePath).size;
+    if (move) {
+      renameSync(sourcePath, backupPath);
+    } else {
+      copyFileSync(sourcePath, backupPath);
+    }
+    recordBackup(root, { subdir, relativePath, location: 'local', file: fileName, timestamp, size, reason });
+    return backupPath;
+  }
+  return null;
+}
+
+// The remote counterpart of backupFile: moves (or copies) the remote file
+// into the backup folder under SYNC_REMOTE_ROOT.
+async function backupRemoteFile(root, subdir, relativePath, options = {}) {
+  const { move = false, reason = 'conflict', size } = options;
+  const backupDir = getBackupDir();
+  const remotePath = remoteFolderPath(subdir, relativePath);
+  const timestamp = Date.now();
+  const fileName = backupFileName(subdir, relativePath, timestamp);
+  const backupPath = remoteSyncPath(backupDir, fileName);
+  
+  await executeRemote(
+    `mkdir -p ${remoteShellPath(remoteSyncPath(backupDir))} && ${move ? 'mv' : 'cp -p'} -- ${remoteShellPath(remotePath)} ${remoteShellPath(backupPath)}`,
+    { quiet: true }
+  );
+  recordBackup(root, { subdir, relativePath, location: 'remote', instance: getCurrentInstanceName(), file: fileName, timestamp, size, reason });
+  return backupPath;
+}
+
+async function deleteRemoteFile(root, subdir, relativePath, options = {}) {
+  return backupRemoteFile(root, subdir, relativePath, { move: true, reason: 'delete', size: options.size });
+}
+
+// The flattened backup names cannot be mapped back to a path on their own
+// (`a_b.md` could be `a/b.md`), so every backup is recorded in a catalog.
+function loadBackupCatalog(root) {
+  const catalogPath = join(root, 'state', BACKUP_CATALOG_FILE);
+  if (existsSync(catalogPath)) {
+    try {
+      const catalog = JSON.parse(readFileSync(catalogPath, 'utf-8'));
+      return { backups: catalog.backups || [] };
+    } catch {
+      return { backups: [] };
+    }
+  }
+  return { backups: [] };
+}
+
+function saveBackupCatalog(root, catalog) {
+  const catalogPath = join(root, 'state', BACKUP_CATALOG_FILE);
+  writeFileSync(catalogPath, JSON.stringify(catalog, null, 2));
+}
+
+function recordBackup(root, backup) {
+  const { subdir, relativePath, timestamp, ...rest } = backup;
+  const catalog = loadBackupCatalog(root);
+  catalog.backups.push({
+    id: crypto.randomBytes(6).toString('hex'),
+    path: `${subdir}/${relativePath}`,
+    subdir,
+    relativePath,
+    createdAt: new Date(timestamp).toISOString(),
+    ...rest
+  });
+  saveBackupCatalog(root, catalog);
+}
+
+function normalizeSyncPath(path) {
+  return path.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+export function listBackups(options = {}) {
+  const root = getSyncRoot();
+  const { backups } = loadBackupCatalog(root);
+  const filter = options.path ? normalizeSyncPath(options.path) : null;
+  
+  return backups
+    .filter(b => !filter || b.path === filter || b.path.startsWith(`${filter}/`))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getBackupRetention() {
+  return {
+    keep: parseInt(process.env.SYNC_BACKUP_KEEP || '10'),
+    days: parseFloat(process.env.SYNC_BACKUP_DAYS || '30')
+  };
+}
+
+// Keeps at most SYNC_BACKUP_KEEP versions per path and drops anything older
+// than SYNC_BACKUP_DAYS. A value of 0 disables that rule.
+export async function pruneBackups(options = {}) {
+  const { dryRun = false } = options;
+  const root = getSyncRoot();
+  const { keep, days } = getBackupRetention();
+  const catalog = loadBackupCatalog(root);
+  const cutoff = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : null;
+  const instance = getCurrentInstanceName();
+  
+  const versions = {};
+  const expired = new Set();
+  const sorted = [...catalog.backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  for (const backup of sorted) {
+    versions[backup.path] = (versions[backup.path] || 0) + 1;
+    // Remote copies on another instance are left for that instance's next prune.
+    if (backup.location === 'remote' && (backup.instance || DEFAULT_INSTANCE) !== instance) continue;
+    if ((keep > 0 && versions[backup.path] > keep) || (cutoff && Date.parse(backup.createdAt) < cutoff)) {
+      expired.add(backup.id);
+    }
+  }
+  
+  const removed = catalog.backups.filter(b => expired.has(b.id));
+  if (dryRun || removed.length === 0) return { removed };
+  
+  const backupDir = getBackupDir();
+  for (const backup of removed.filter(b => b.location === 'local')) {
+    const backupPath = join(root, backupDir, backup.file);
+    if (existsSync(backupPath)) unlinkSync(backupPath);
+  }
+  
+  const remoteNames = removed.filter(b => b.location === 'remote').map(b => remoteShellPath(remoteSyncPath(backupDir, b.file)));
+  if (remoteNames.length > 0) {
+    await executeRemote(`rm -f -- ${remoteNames.join(' ')}`, { quiet: true });
+  }
+  
+  catalog.backups = catalog.backups.filter(b => !expired.has(b.id));
+  saveBackupCatalog(root, catalog);
+  return { removed };
+}
+
+// Picks the newest backup of `path` taken at or before `at` (or the newest
+// overall) and writes it back into the local sync folder. The current local
+// copy is backed up first, and the next sync pushes the restored file out.
+export function restoreBackup(path, options = {}) {
+  return enqueueSync(() => restoreBackupOnce(path, options));
+}
+
+async function restoreBackupOnce(path, options = {}) {
+  const { at = null, id = null } = options;
+  const root = ensureLocalDirectories();
+  const target = normalizeSyncPath(path);
+  
+  let cutoff = null;
+  if (at) {
+    cutoff = new Date(at);
+    if (isNaN(cutoff.getTime())) {
+      throw new Error(`Invalid time: ${at}`);
+    }
+  }
+  
+  const candidates = listBackups({ path: target }).filter(b =>
+    (id ? b.id === id : b.path === target) && (!cutoff || Date.parse(b.createdAt) <= cutoff.getTime())
+  );
+  const backup = candidates[0];
+  if (!backup) {
+    throw new Error(at ? `No backup of ${target} at or before ${cutoff.toISOString()}` : `No backup found for ${target}`);
+  }
+  
+  const localPath = localFolderPath(root, backup.subdir, backup.relativePath);
+  const previousPath = backupFile(root, backup.subdir, backup.relativePath, { reason: 'restore' });
+  mkdirSync(dirname(localPath), { recursive: true });
+  const tmpPath = join(dirname(localPath), `.${basename(localPath)}${TEMP_MARKER}${Date.now()}`);
+  
+  try {
+    if (backup.location === 'remote') {
+      const sftp = await getSftp(backup.instance || DEFAULT_INSTANCE);
+      const remotePath = remoteSftpPath(remoteSyncPath(getBackupDir(), backup.file));
+      const streams = [sftp.createReadStream(remotePath), createWriteStream(tmpPath)];
+      if (await isRemoteFileEncrypted(sftp, remotePath)) {
+        streams.splice(1, 0, createDecryptStream(loadEncryptionKey()));
+      }
+      await pipeline(...streams);
+    } else {
+      const backupPath = join(root, getBackupDir(), backup.file);
+      if (!existsSync(backupPath)) {
+        throw new Error(`Backup file is missing: ${backupPath}`);
+      }
+      copyFileSync(backupPath, tmpPath);
+    }
+    renameSync(tmpPath, localPath);
+  } catch (error) {
+    if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    throw error;
+  }
+  
+  return { path: backup.path, restoredFrom: backup, previousBackup: previousPath };
+}
+
+// Snapshots live under state/snapshots: one JSON manifest per snapshot
+// mapping every synced file to a content hash, and an objects/ store of
+// gzipped file contents keyed by that hash, so unchanged files are stored once
+// across all snapshots.
+function getSnapshotDir(root) {
+  return join(root, 'state', SNAPSHOT_DIR);
+}
+
+function snapshotObjectPath(root, hash) {
+  return join(getSnapshotDir(root), 'objects', hash.slice(0, 2), `${hash}.gz`);
+}
+
+// Hashes while compressing, so the object is named after exactly the bytes it
+// holds even if the file changes mid-read.
+async function storeSnapshotObject(root, sourcePath) {
+  const tmpPath = join(getSnapshotDir(root), 'objects', `${TEMP_MARKER}${crypto.randomBytes(6).toString('hex')}`);
+  mkdirSync(dirname(tmpPath), { recursive: true });
+  const hash = crypto.createHash('sha256');
+  const source = createReadStream(sourcePath);
+  source.on('data', chunk => hash.update(chunk));
+  await pipeline(source, createGzip(), createWriteStream(tmpPath));
+  
+  const digest = hash.digest('hex');
+  const objectPath = snapshotObjectPath(root, digest);
+  if (existsSync(objectPath)) {
+    unlinkSync(tmpPath);
+    return { hash: digest, storedBytes: 0 };
+  }
+  mkdirSync(dirname(objectPath), { recursive: true });
+  renameSync(tmpPath, objectPath);
+  return { hash: digest, storedBytes: statSync(objectPath).size };
+}
+
+function summarizeSnapshot(snapshot) {
+  const entries = Object.values(snapshot.files);
+  return {
+    id: snapshot.id,
+    label: snapshot.label,
+    createdAt: snapshot.createdAt,
+    folders: snapshot.folders,
+    files: entries.length,
+    bytes: entries.reduce((sum, f) => sum + f.size, 0)
+  };
+}
+
+function loadSnapshot(root, id) {
+  const snapshots = listSnapshots();
+  const prefixed = snapshots.filter(s => s.id.startsWith(id));
+  const match = id === 'latest'
+    ? snapshots[0]
+    : snapshots.find(s => s.id === id) || (prefixed.length === 1 ? prefixed[0] : null);
+  if (!match) {
+    throw new Error(`No snapshot matches "${id}"`);
+  }
+  return JSON.parse(readFileSync(join(getSnapshotDir(root), `${match.id}.json`), 'utf-8'));
+}
+
+export function listSnapshots() {
+  const dir = getSnapshotDir(getSyncRoot());
+  if (!existsSync(dir)) return [];
+  
+  return readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => summarizeSnapshot(JSON.parse(readFileSync(join(dir, name), 'utf-8'))))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Captures the local copy of every sync folder, minus ignored files. Run a
+// sync first to include the latest remote changes.
+export function createSnapshot(options = {}) {
+  return enqueueSync(() => createSnapshotOnce(options));
+}
+
+async function createSnapshotOnce(options = {}) {
+  const { label = '' } = options;
+  const root = ensureLocalDirectories();
+  const hashCache = loadSyncState(root).hashCache || {};
+  const folders = resolveSyncFolders(loadSyncConfig(), root);
+  const createdAt = new Date().toISOString();
+  const id = `${createdAt.slice(0, 19).replace(/[-:]/g, '').replace('T', '-')}-${crypto.randomBytes(2).toString('hex')}`;
+  const files = {};
+  let storedBytes = 0;
+  
+  for (const folder of folders) {
+    const localFiles = getLocalFiles(root, folder.name, { rules: loadIgnoreRules(root, folder), ignored: [] });
+    for (const [path, file] of Object.entries(localFiles)) {
+      const key = `${folder.name}/${path}`;
+      let hash = lookupCachedHash(hashCache, key, file);
+      if (!hash || !existsSync(snapshotObjectPath(root, hash))) {
+        const stored = await storeSnapshotObject(root, localFolderPath(root, folder.name, path));
+        hash = stored.hash;
+        storedBytes += stored.storedBytes;
+      }
+      files[key] = { hash, size: file.size, mtime: file.mtime };
+    }
+  }
+  
+  const snapshot = { id, label, createdAt, folders: folders.map(f => f.name), files };
+  writeFileSync(join(getSnapshotDir(root), `${id}.json`), JSON.stringify(snapshot, null, 2));
+  return { ...summarizeSnapshot(snapshot), storedBytes };
+}
+
+// Rewrites the local folders to match a snapshot (current versions go to the
+// backup folder first), then, unless `push` is false, runs a sync that mirrors
+// the restored local state onto the remote. Folders added after the snapshot
+// was taken are left alone.
+export function restoreSnapshot(id, options = {}) {
+  return enqueueSync(() => restoreSnapshotOnce(id, options));
+}
+
+async function restoreSnapshotOnce(id, options = {}) {
+  const { push = true, verbose = false } = options;
+  const root = ensureLocalDirectories();
+  const snapshot = loadSnapshot(root, id);
+  const hashCache = loadSyncState(root).hashCache || {};
+  const result = { id: snapshot.id, restored: [], removed: [], unchanged: 0, skippedFolders: [], sync: null, pushError: null };
+  
+  for (const folder of resolveSyncFolders(loadSyncConfig(), root)) {
+    if (!snapshot.folders.includes(folder.name)) {
+      result.skippedFolders.push(folder.name);
+      continue;
+    }
+    
+    const current = getLocalFiles(root, folder.name, { rules: loadIgnoreRules(root, folder), ignored: [] });
+    const prefix = `${folder.name}/`;
+    
+    for (const path of Object.keys(current)) {
+      if (!snapshot.files[prefix + path]) {
+        backupFile(root, folder.name, path, { move: true, reason: 'snapshot' });
+        result.removed.push(prefix + path);
+        if (verbose) console.log(`  ✗ ${prefix}${path}`);
+      }
+    }
+    
+    for (const [key, entry] of Object.entries(snapshot.files)) {
+      if (!key.startsWith(prefix)) continue;
+      const path = key.slice(prefix.length);
+      const file = current[path];
+      if (file && (lookupCachedHash(hashCache, key, file) || await hashLocalFile(root, folder.name, path)) === entry.hash) {
+        result.unchanged++;
+        continue;
+      }
+      
+      const objectPath = snapshotObjectPath(root, entry.hash);
+      if (!existsSync(objectPath)) {
+        throw new Error(`Snapshot ${snapshot.id} is missing content for ${key}`);
+      }
+      if (file) backupFile(root, folder.name, path, { reason: 'snapshot' });
+      
+      const localPath = localFolderPath(root, folder.name, path);
+      mkdirSync(dirname(localPath), { recursive: true });
+      const tmpPath = join(dirname(localPath), `.${basename(localPath)}${TEMP_MARKER}${Date.now()}`);
+      try {
+        await pipeline(createReadStream(objectPath), createGunzip(), createWriteStream(tmpPath));
+        utimesSync(tmpPath, new Date(), new Date(entry.mtime));
+        renameSync(tmpPath, localPath);
+      } catch (error) {
+        if (existsSync(tmpPath)) unlinkSync(tmpPath);
+        throw error;
+      }
+      result.restored.push(key);
+      if (verbose) console.log(`  ↺ ${key}`);
+    }
+  }
+  
+  if (push) {
+    try {
+      result.sync = await runSyncWithEvents({ mirrorLocal: true, verbose, trigger: 'snapshot' });
+    } catch (error) {
+      result.pushError = error.message;
+    }
+  }
+  return result;
+}
+
+// Streamed, so files of any size hash in constant memory.
+async function hashLocalFile(root, subdir, relativePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of createReadStream(localFolderPath(root, subdir, relativePath))) {
+    hash.update(chunk);
   }
+  return hash.digest('hex');
+}
+
+async function statRemoteFile(subdir, relativePath) {
+  const sftp = await getSftp();
+  const stat = await sftpCall(sftp, 'stat', remoteSftpPath(remoteFolderPath(subdir, relativePath)));
+  return { size: stat.size, mtime: stat.mtime * 1000 };
+}
+
+function sameFileMeta(a, b) {
+  return !!a && !!b && a.size === b.size && Math.abs(a.mtime - b.mtime) <= 1000;
+}
+
+// Compares a local file with its remote copy. An encrypted remote copy is the
+// plaintext plus the encryption header and tag, which are left out of the size.
+function sameLocalAndRemoteMeta(local, remote) {
+  const size = remote.encrypted ? remote.size - ENCRYPTION_OVERHEAD : remote.size;
+  return sameFileMeta(local, { ...remote, size });
+}
+
+// With hashing enabled, content decides; timestamps are only a fallback for
+// entries that have no hash yet.
+function fileUnchanged(file, base, side) {
+  if (!base) return false;
+  if (file.hash && base.hash) return file.hash === base.hash;
+  return sameFileMeta(file, base[side]);
+}
+
+function isHashModeEnabled(options = {}) {
+  if (typeof options.hash === 'boolean') return options.hash;
+  return (process.env.SYNC_HASH || '').toLowerCase() === 'true';
+}
+
+// ctime is part of the key because transfers restore mtimes, so a rewritten
+// file can keep the same size and mtime as the content it replaced.
+function lookupCachedHash(cache, key, file) {
+  const cached = cache[key];
+  if (cached && cached.size === file.size && cached.mtime === file.mtime && cached.ctime === file.ctime) {
+    return cached.hash;
+  }
+  return null;
+}
+
+// Returns the paths that could not be read; `onError` reports each one.
+async function applyLocalHashes(root, subdir, files, cache, nextCache, onError) {
+  const failed = new Set();
+  for (const [path, file] of Object.entries(files)) {
+    const key = `${subdir}/${path}`;
+    try {
+      file.hash = lookupCachedHash(cache, key, file) || await hashLocalFile(root, subdir, path);
+    } catch (error) {
+      failed.add(path);
+      onError(key, error);
+      continue;
+    }
+    nextCache[key] = { size: file.size, mtime: file.mtime, ctime: file.ctime, hash: file.hash };
+  }
+  return failed;
+}
+
+function rememberBase(state, key, local, remote, hash) {
+  state.files[key] = {
+    local: { size: local.size, mtime: local.mtime },
+    remote: { size: remote.size, mtime: remote.mtime },
+    hash,
+    syncedAt: new Date().toISOString()
+  };
+}
+
+// Records what both sides looked like after a successful transfer, so the next
+// run can tell a one-sided edit from a genuine two-sided conflict. The content
+// hash is only worth reading the file again for when `hash` mode compares it.
+async function recordBase(state, root, subdir, relativePath, options = {}) {
+  const { hash = false } = options;
+  const stat = statSync(localFolderPath(root, subdir, relativePath));
+  const remote = await statRemoteFile(subdir, relativePath);
+  const encrypted = getSyncFolder(subdir, root).encrypt
+    && await isRemoteFileEncrypted(await getSftp(), remoteSftpPath(remoteFolderPath(subdir, relativePath)));
+  state.files[`${subdir}/${relativePath}`] = {
+    local: { size: stat.size, mtime: stat.mtimeMs },
+    remote,
+    ...(hash ? { hash: await hashLocalFile(root, subdir, relativePath) } : {}),
+    ...(encrypted ? { encrypted: true } : {}),
+    syncedAt: new Date().toISOString()
+  };
+}
+
+const BULK_DELETE_MIN_FILES = 3;
+
+// Deleting most of a folder at once is more likely a wrong remote path or an
+// emptied disk than intent, so such runs hold their deletions back.
+function isBulkDeletion(count, baseCount) {
+  const percent = parseFloat(process.env.SYNC_MAX_DELETE_PERCENT || '50');
+  return count >= BULK_DELETE_MIN_FILES && count * 100 > percent * baseCount;
+}
+
+// Bases describe one particular remote copy. When a folder's remote path
+// changes (another SYNC_REMOTE_ROOT or `remote`), its files start over as if
+// never synced instead of looking deleted.
+function forgetChangedRemotePaths(state, folders) {
+  const previous = state.remotePaths || {};
+  const changed = folders.filter(f => previous[f.name] && previous[f.name] !== f.remotePath);
+  for (const folder of changed) {
+    const prefix = `${folder.name}/`;
+    for (const key of Object.keys(state.files)) {
+      if (key.startsWith(prefix)) delete state.files[key];
+    }
+    for (const key of Object.keys(state.pendingConflicts || {})) {
+      if (key.startsWith(prefix)) delete state.pendingConflicts[key];
+    }
+  }
+  state.remotePaths = Object.fromEntries(folders.map(f => [f.name, f.remotePath]));
+  return changed.map(f => f.name);
 }
 
 function resolveConflict(localFile, remoteFile) {
@@ -130,129 +1133,936 @@ function resolveConflict(localFile, remoteFile) {
       return 'download';
     case 'keep_both':
       return 'both';
+    case 'ask':
+      return 'ask';
     case 'newest':
     default:
       return localFile.mtime > remoteFile.mtime ? 'upload' : 'download';
   }
 }
 
-export async function runSync(options = {}) {
-  const { dryRun = false, verbose = false } = options;
+// Runs are queued so the CLI, API, Telegram and the watcher never overlap.
+export function runSync(options = {}) {
+  return enqueueSync(() => runSyncWithEvents(options));
+}
+
+// Must only be called from inside syncChain.
+async function runSyncWithEvents(options = {}) {
+  syncRunning = true;
+  syncEvents.emit('start', { dryRun: !!options.dryRun, trigger: options.trigger || 'manual' });
+  try {
+    const result = await runSyncOnce(options);
+    syncEvents.emit('done', { dryRun: !!options.dryRun, result });
+    return result;
+  } catch (error) {
+    // EventEmitter throws on an 'error' nobody listens to (e.g. the CLI).
+    if (syncEvents.listenerCount('error') > 0) {
+      syncEvents.emit('error', { dryRun: !!options.dryRun, error: error.message });
+    }
+    throw error;
+  } finally {
+    syncRunning = false;
+  }
+}
+
+export function isSyncRunning() {
+  return syncRunning;
+}
+
+export function getSyncFolders() {
+  return resolveSyncFolders(loadSyncConfig()).map(f => f.name);
+}
+
+export function getSyncFolderDetails() {
+  return resolveSyncFolders(loadSyncConfig());
+}
+
+// Remote paths of the folders Moltbook posts may draw on (`moltbook` in the
+// sync config; only public/ by default).
+export function getMoltbookFolders() {
+  return resolveSyncFolders(loadSyncConfig()).filter(f => f.moltbook).map(f => f.remotePath);
+}
+
+// With `mirrorLocal` (used by snapshot restores) the local folders are the
+// source of truth: every difference is pushed and remote-only files deleted,
+// whichever side changed since the last sync. Deletions that would empty most
+// of a folder are held (see isBulkDeletion) unless `allowBulkDelete` is set.
+async function runSyncOnce(options = {}) {
+  const { dryRun = false, verbose = false, propagateDeletes = true, mirrorLocal = false, allowBulkDelete = false } = options;
+  const useHash = isHashModeEnabled(options);
   
+  const startedAt = new Date().toISOString();
   const root = ensureLocalDirectories();
   const state = loadSyncState(root);
+  const hashCache = state.hashCache || {};
+  const nextHashCache = {};
   
   const result = {
     uploaded: 0,
     downloaded: 0,
+    deleted: 0,
     conflicts: [],
+    ignored: [],
+    violations: [],
+    warnings: [],
+    heldDeletions: [],
     errors: []
   };
   
-  const subdirs = ['public', 'private', 'artifacts'];
+  const transfers = [];
+  const journal = (entry) => transfers.push({ time: new Date().toISOString(), ...entry });
+  const queue = [];
+  
+  const recordError = (key, error) => {
+    if (previousPending[key]) pendingConflicts[key] = previousPending[key];
+    result.errors.push({ path: key, error: error.message });
+    if (verbose) {
+      console.log(`  ✗ Error: ${key}: ${error.message}`);
+    }
+  };
+  
+  const folders = resolveSyncFolders(loadSyncConfig(), root);
+  const subdirs = folders.map(f => f.name);
+  const movedFolders = forgetChangedRemotePaths(state, folders);
+  if (verbose) {
+    for (const name of movedFolders) console.log(`  ! ${name}: remote path changed, starting without sync history`);
+  }
+  const previousPending = state.pendingConflicts || {};
+  const pendingConflicts = {};
+  const rules = {};
+  const directions = {};
+  const encrypted = {};
+  for (const folder of folders) {
+    rules[folder.name] = loadIgnoreRules(root, folder);
+    directions[folder.name] = folder.direction;
+    encrypted[folder.name] = folder.encrypt;
+  }
+  
+  const manifest = await getRemoteManifest(folders, { hash: useHash, rules, maxBytes: getMaxFileBytes() });
+  result.ignored.push(...manifest.ignored);
+  const caseInsensitive = isCaseInsensitiveFs(join(root, 'state'));
   
   for (const subdir of subdirs) {
-    const localFiles = getLocalFiles(root, subdir);
-    const remoteFiles = await getRemoteFiles(subdir);
+    const localOversized = [];
+    const localFiles = getLocalFiles(root, subdir, { rules: rules[subdir], ignored: result.ignored, oversized: localOversized });
+    const remoteFiles = manifest[subdir];
+    // A file over SYNC_MAX_FILE_MB on either side is left out on both, and its
+    // base is kept, so the skip never reads as a deletion on the other side.
+    const oversized = new Set([...localOversized, ...manifest.oversized[subdir]]);
+    for (const path of oversized) {
+      delete localFiles[path];
+      delete remoteFiles[path];
+    }
+    const warnings = skipUnsyncablePaths(subdir, localFiles, remoteFiles, state, { caseInsensitive });
+    result.warnings.push(...warnings);
+    if (verbose) {
+      for (const { path, warning } of warnings) console.log(`  ! Skipped ${path}: ${warning}`);
+    }
+    
+    // A file that could not be hashed is left alone this run: it still exists,
+    // so it must not read as deleted either.
+    const unhashed = useHash
+      ? await applyLocalHashes(root, subdir, localFiles, hashCache, nextHashCache, recordError)
+      : new Set();
     
     const allPaths = new Set([...Object.keys(localFiles), ...Object.keys(remoteFiles)]);
+    const direction = directions[subdir];
+    const remoteMissing = manifest.missing.includes(subdir);
+    
+    // A file gone from one side and untouched on the other since the last sync
+    // is deleted there too. Nothing counts as deleted on a remote folder that
+    // is missing altogether; its files are uploaded again instead.
+    const plannedDeletion = (local, remote, base) => {
+      if (!propagateDeletes) return null;
+      if (local && !remote && base && !mirrorLocal && !remoteMissing && fileUnchanged(local, base, 'local')) return 'delete_local';
+      if (!local && remote && (mirrorLocal || (base && fileUnchanged(remote, base, 'remote')))) return 'delete_remote';
+      return null;
+    };
+    
+    const deletions = [...allPaths].filter(path => !unhashed.has(path) && plannedDeletion(localFiles[path], remoteFiles[path], state.files[`${subdir}/${path}`]));
+    const baseCount = Object.keys(state.files).filter(key => key.startsWith(`${subdir}/`)).length;
+    const holdDeletions = !mirrorLocal && !allowBulkDelete && isBulkDeletion(deletions.length, baseCount);
+    if (holdDeletions) {
+      result.heldDeletions.push({ folder: subdir, count: deletions.length, synced: baseCount });
+      if (verbose) console.log(`  ! ${subdir}: holding ${deletions.length} of ${baseCount} deletions (use --allow-bulk-delete)`);
+    }
+    if (remoteMissing && verbose) {
+      console.log(`  ! ${subdir}: missing on the remote, uploading instead of deleting`);
+    }
     
     for (const path of allPaths) {
       const local = localFiles[path];
       const remote = remoteFiles[path];
+      const key = `${subdir}/${path}`;
+      const base = state.files[key];
+      if (unhashed.has(path)) continue;
+      const deletion = plannedDeletion(local, remote, base);
+      // Held deletions keep their base, so they are proposed again next run.
+      if (deletion && holdDeletions) continue;
+      
+      // Records a change this folder's direction does not allow. The base is
+      // left untouched, so the change keeps being reported until it is undone.
+      const blocked = (action) => {
+        if (isActionAllowed(direction, action)) return false;
+        result.violations.push({ path: key, direction, action });
+        if (verbose) console.log(`  ⊘ ${key}: ${action} not allowed (${direction})`);
+        return true;
+      };
       
       try {
-        if (local && !remote) {
-          if (verbose) console.log(`  ↑ ${subdir}/${path}`);
+        if (deletion === 'delete_local') {
+          // Deleted on the remote and untouched locally since the last sync.
+          if (blocked('delete_local')) continue;
+          if (verbose) console.log(`  ✗ ${subdir}/${path} (deleted on remote)`);
+          syncEvents.emit('file', { path: key, action: 'delete_local', dryRun });
+          if (!dryRun) {
+            const backupPath = backupFile(root, subdir, path, { move: true, reason: 'delete' });
+            delete state.files[key];
+            journal({ path: key, action: 'delete_local', bytes: local.size, backupPath });
+          }
+          result.deleted++;
+        } else if (deletion === 'delete_remote') {
+          // Deleted locally and untouched on the remote since the last sync.
+          if (blocked('delete_remote')) continue;
+          if (verbose) console.log(`  ✗ ${subdir}/${path} (deleted locally)`);
+          syncEvents.emit('file', { path: key, action: 'delete_remote', dryRun });
           if (!dryRun) {
-            await uploadFile(root, subdir, path);
+            const remoteBackupPath = await deleteRemoteFile(root, subdir, path, { size: remote.size });
+            delete state.files[key];
+            journal({ path: key, action: 'delete_remote', bytes: remote.size, remoteBackupPath });
+          }
+          result.deleted++;
+        } else if (local && !remote) {
+          if (blocked('upload')) continue;
+          if (verbose) console.log(`  ↑ ${subdir}/${path}`);
+          syncEvents.emit('file', { path: key, action: 'upload', dryRun });
+          if (dryRun) {
+            result.uploaded++;
+          } else {
+            queue.push({ path: key, action: 'upload', bytes: local.size, run: async (onProgress) => {
+              await uploadFile(root, subdir, path, { onProgress });
+              await recordBase(state, root, subdir, path, { hash: useHash });
+              journal({ path: key, action: 'upload', bytes: local.size });
+              result.uploaded++;
+            } });
           }
-          result.uploaded++;
         } else if (!local && remote) {
+          if (blocked('download')) continue;
           if (verbose) console.log(`  ↓ ${subdir}/${path}`);
-          if (!dryRun) {
-            await downloadFile(root, subdir, path);
+          syncEvents.emit('file', { path: key, action: 'download', dryRun });
+          if (dryRun) {
+            result.downloaded++;
+          } else {
+            queue.push({ path: key, action: 'download', bytes: remote.size, run: async (onProgress) => {
+              await downloadFile(root, subdir, path, { onProgress });
+              await recordBase(state, root, subdir, path, { hash: useHash });
+              journal({ path: key, action: 'download', bytes: remote.size });
+              result.downloaded++;
+            } });
           }
-          result.downloaded++;
         } else if (local && remote) {
-          if (local.size !== remote.size || Math.abs(local.mtime - remote.mtime) > 1000) {
-            const resolution = resolveConflict(local, remote);
-            result.conflicts.push({ path: `${subdir}/${path}`, resolution });
+          const inSync = (local.hash && remote.hash && local.hash === remote.hash)
+            || (fileUnchanged(local, base, 'local') && fileUnchanged(remote, base, 'remote'))
+            || (!base && !useHash && sameLocalAndRemoteMeta(local, remote));
+          if (inSync && !!remote.encrypted !== encrypted[subdir] && isActionAllowed(direction, 'upload')) {
+            // Encryption was switched on or off for this folder: rewrite the
+            // remote copy in the new form from the unchanged local file.
+            if (verbose) console.log(`  ${encrypted[subdir] ? '🔒 Encrypting' : '🔓 Decrypting'} ${subdir}/${path} on remote`);
+            syncEvents.emit('file', { path: key, action: 'upload', dryRun });
+            if (dryRun) {
+              result.uploaded++;
+            } else {
+              queue.push({ path: key, action: 'upload', bytes: local.size, run: async (onProgress) => {
+                await uploadFile(root, subdir, path, { onProgress });
+                await recordBase(state, root, subdir, path, { hash: useHash });
+                journal({ path: key, action: 'upload', bytes: local.size });
+                result.uploaded++;
+              } });
+            }
+            continue;
+          }
+          
+          if (local.hash && remote.hash && local.hash === remote.hash) {
+            // Identical content; only refresh the base if timestamps moved.
+            if (!dryRun && (!base || base.hash !== local.hash || !sameFileMeta(local, base.local) || !sameFileMeta(remote, base.remote))) {
+              rememberBase(state, key, local, remote, local.hash);
+            }
+            continue;
+          }
+          
+          let localChanged = !fileUnchanged(local, base, 'local');
+          let remoteChanged = !fileUnchanged(remote, base, 'remote');
+          if (mirrorLocal && (localChanged || remoteChanged)) {
+            localChanged = true;
+            remoteChanged = false;
+          }
+          
+          if (!localChanged && !remoteChanged) {
+            continue;
+          }
+          
+          if (!base && !useHash && sameLocalAndRemoteMeta(local, remote)) {
+            // Already identical on both sides; just remember it as the base.
+            if (!dryRun) {
+              rememberBase(state, key, local, remote);
+            }
+            continue;
+          }
+          
+          if (localChanged && !remoteChanged) {
+            if (blocked('upload')) continue;
+            if (verbose) console.log(`  ↑ ${subdir}/${path}`);
+            syncEvents.emit('file', { path: key, action: 'upload', dryRun });
+            if (dryRun) {
+              result.uploaded++;
+            } else {
+              queue.push({ path: key, action: 'upload', bytes: local.size, run: async (onProgress) => {
+                await uploadFile(root, subdir, path, { onProgress });
+                await recordBase(state, root, subdir, path, { hash: useHash });
+                journal({ path: key, action: 'upload', bytes: local.size });
+                result.uploaded++;
+              } });
+            }
+          } else if (remoteChanged && !localChanged) {
+            if (blocked('download')) continue;
+            if (verbose) console.log(`  ↓ ${subdir}/${path}`);
+            syncEvents.emit('file', { path: key, action: 'download', dryRun });
+            if (dryRun) {
+              result.downloaded++;
+            } else {
+              queue.push({ path: key, action: 'download', bytes: remote.size, run: async (onProgress) => {
+                await downloadFile(root, subdir, path, { onProgress });
+                await recordBase(state, root, subdir, path, { hash: useHash });
+                journal({ path: key, action: 'download', bytes: remote.size });
+                result.downloaded++;
+              } });
+            }
+          } else {
+            // One-way folders always resolve toward their source side.
+            const resolution = direction === 'pull'
+              ? 'download'
+              : direction === 'push'
+                ? 'upload'
+                : resolveConflict(local, remote);
+            result.conflicts.push({ path: key, resolution });
             
             if (verbose) {
               console.log(`  ⚠ Conflict: ${subdir}/${path} -> ${resolution}`);
             }
+            syncEvents.emit('file', { path: key, action: 'conflict', resolution, dryRun });
+            
+            if (resolution === 'ask') {
+              // Parked until someone picks a side; nothing is transferred.
+              pendingConflicts[key] = {
+                path: key,
+                subdir,
+                relativePath: path,
+                local: { size: local.size, mtime: local.mtime },
+                remote: { size: remote.size, mtime: remote.mtime },
+                detectedAt: previousPending[key]?.detectedAt || new Date().toISOString()
+              };
+              continue;
+            }
             
             if (!dryRun) {
-              backupFile(root, subdir, path);
-              
-              if (resolution === 'upload' || resolution === 'both') {
-                await uploadFile(root, subdir, path);
-                result.uploaded++;
-              }
-              if (resolution === 'download' || resolution === 'both') {
-                if (resolution === 'both') {
-                  const conflictPath = path.replace(/(\.[^.]+)$/, `.sync-conflict-local$1`);
-                  copyFileSync(
-                    join(root, subdir, path),
-                    join(root, subdir, conflictPath)
-                  );
-                }
-                await downloadFile(root, subdir, path);
-                result.downloaded++;
-              }
+              const bytes = resolution === 'upload' ? local.size : remote.size;
+              queue.push({ path: key, action: 'conflict', bytes, run: async (onProgress) => {
+                const applied = await applyConflictResolution(root, subdir, path, resolution, { onProgress, remoteSize: remote.size });
+                result.uploaded += applied.uploaded;
+                result.downloaded += applied.downloaded;
+                await recordBase(state, root, subdir, path, { hash: useHash });
+                journal({ path: key, action: 'conflict', resolution, bytes, backupPath: applied.backupPath, remoteBackupPath: applied.remoteBackupPath });
+              } });
             }
           }
         }
       } catch (error) {
-        result.errors.push({ path: `${subdir}/${path}`, error: error.message });
-        if (verbose) {
-          console.log(`  ✗ Error: ${subdir}/${path}: ${error.message}`);
-        }
+        recordError(key, error);
+      }
+    }
+    
+    for (const key of Object.keys(state.files)) {
+      if (!key.startsWith(`${subdir}/`)) continue;
+      const path = key.slice(subdir.length + 1);
+      if (!localFiles[path] && !remoteFiles[path] && !oversized.has(path) && !dryRun) {
+        delete state.files[key];
       }
     }
   }
   
+  await runTransferQueue(queue, { onError: (task, error) => recordError(task.path, error) });
+  
+  if (verbose && dryRun) {
+    for (const entry of result.ignored) {
+      console.log(`  - Ignored (${entry.side}): ${entry.path} - ${entry.reason}`);
+    }
+  }
+  
   if (!dryRun) {
+    if (useHash) {
+      state.hashCache = nextHashCache;
+    }
+    state.pendingConflicts = pendingConflicts;
     state.lastSync = new Date().toISOString();
     saveSyncState(root, state);
+    
+    try {
+      await pruneBackups();
+    } catch (error) {
+      result.errors.push({ path: getBackupDir(), error: `Backup pruning failed: ${error.message}` });
+    }
+    
+    appendJournal(root, {
+      id: crypto.randomBytes(6).toString('hex'),
+      startedAt,
+      finishedAt: state.lastSync,
+      instance: getCurrentInstanceName(),
+      trigger: options.trigger || 'manual',
+      uploaded: result.uploaded,
+      downloaded: result.downloaded,
+      deleted: result.deleted,
+      conflicts: result.conflicts.length,
+      transfers,
+      errors: result.errors
+    });
   }
   
   return result;
 }
 
-async function uploadFile(root, subdir, relativePath) {
-  const localPath = join(root, subdir, relativePath);
-  const remotePath = `~/mattyjacksbot/v1/sync/${subdir}/${relativePath}`;
-  const remoteDir = remotePath.substring(0, remotePath.lastIndexOf('/'));
+// Backs up the copy that loses, then applies `upload`, `download` or `both`:
+// the remote file before an upload (copied, so a failed upload leaves it in
+// place), the local one otherwise. `both` keeps the local version next to the
+// file as a .sync-conflict-local copy (uploaded on the next sync) and takes
+// the remote one.
+async function applyConflictResolution(root, subdir, relativePath, resolution, options = {}) {
+  const { remoteSize, ...transferOptions } = options;
+  const applied = { backupPath: null, remoteBackupPath: null, uploaded: 0, downloaded: 0 };
   
-  await executeRemote(`mkdir -p ${remoteDir}`, { quiet: true });
+  if (resolution === 'upload') {
+    applied.remoteBackupPath = await backupRemoteFile(root, subdir, relativePath, { size: remoteSize });
+    await uploadFile(root, subdir, relativePath, transferOptions);
+    applied.uploaded++;
+  } else {
+    applied.backupPath = backupFile(root, subdir, relativePath);
+    if (resolution === 'both') {
+      const conflictPath = /\.[^./]+$/.test(relativePath)
+        ? relativePath.replace(/(\.[^./]+)$/, '.sync-conflict-local$1')
+        : `${relativePath}.sync-conflict-local`;
+      copyFileSync(localFolderPath(root, subdir, relativePath), localFolderPath(root, subdir, conflictPath));
+    }
+    await downloadFile(root, subdir, relativePath, transferOptions);
+    applied.downloaded++;
+  }
+  return applied;
+}
+
+export function listPendingConflicts() {
+  const state = loadSyncState(getSyncRoot());
+  return Object.values(state.pendingConflicts || {})
+    .sort((a, b) => a.detectedAt.localeCompare(b.detectedAt));
+}
+
+export function resolvePendingConflict(path, choice) {
+  return enqueueSync(() => resolvePendingConflictOnce(path, choice));
+}
+
+async function resolvePendingConflictOnce(path, choice) {
+  const resolution = CONFLICT_CHOICES[choice];
+  if (!resolution) {
+    throw new Error(`Invalid choice "${choice}". Use one of: ${Object.keys(CONFLICT_CHOICES).join(', ')}`);
+  }
   
-  const content = readFileSync(localPath);
-  const base64 = content.toString('base64');
+  const startedAt = new Date().toISOString();
+  const root = ensureLocalDirectories();
+  const state = loadSyncState(root);
+  const key = normalizeSyncPath(path);
+  const conflict = (state.pendingConflicts || {})[key];
+  if (!conflict) {
+    throw new Error(`No pending conflict for ${key}`);
+  }
   
-  await executeRemote(
-    `echo "${base64}" | base64 -d > "${remotePath}"`,
-    { quiet: true }
-  );
+  const direction = getFolderDirection(loadSyncConfig(), conflict.subdir);
+  const action = resolution === 'both' ? 'download' : resolution;
+  if (!isActionAllowed(direction, action)) {
+    throw new Error(`${conflict.subdir}/ is ${direction}; ${action} is not allowed`);
+  }
+  
+  const applied = await applyConflictResolution(root, conflict.subdir, conflict.relativePath, resolution, { remoteSize: conflict.remote.size });
+  await recordBase(state, root, conflict.subdir, conflict.relativePath, { hash: isHashModeEnabled() });
+  delete state.pendingConflicts[key];
+  saveSyncState(root, state);
+  
+  const finishedAt = new Date().toISOString();
+  appendJournal(root, {
+    id: crypto.randomBytes(6).toString('hex'),
+    startedAt,
+    finishedAt,
+    instance: getCurrentInstanceName(),
+    trigger: 'resolve',
+    uploaded: applied.uploaded,
+    downloaded: applied.downloaded,
+    deleted: 0,
+    conflicts: 1,
+    transfers: [{
+      time: finishedAt,
+      path: key,
+      action: 'conflict',
+      resolution,
+      bytes: resolution === 'upload' ? conflict.local.size : conflict.remote.size,
+      backupPath: applied.backupPath,
+      remoteBackupPath: applied.remoteBackupPath
+    }],
+    errors: []
+  });
+  
+  return { path: key, resolution, backupPath: applied.backupPath, remoteBackupPath: applied.remoteBackupPath };
+}
+
+// The agent only ever sees plaintext of an encrypted folder through this
+// explicit step: the local copy is uploaded unencrypted to
+// SYNC_REMOTE_ROOT/.decrypted/<path>, outside every sync folder, and stays
+// there until clearDecryptedFiles removes it.
+export function exposeDecryptedFile(path) {
+  return enqueueSync(() => exposeDecryptedFileOnce(path));
+}
+
+async function exposeDecryptedFileOnce(path) {
+  const root = ensureLocalDirectories();
+  const key = normalizeSyncPath(path);
+  const subdir = key.slice(0, key.indexOf('/'));
+  const relativePath = key.slice(subdir.length + 1);
+  if (!subdir || !relativePath) {
+    throw new Error(`Expected <folder>/<path>, got ${path}`);
+  }
+  if (!getSyncFolder(subdir, root).encrypt) {
+    throw new Error(`${subdir}/ is not encrypted; its files are already readable on the remote`);
+  }
+  
+  const localPath = localFolderPath(root, subdir, relativePath);
+  if (!existsSync(localPath)) {
+    throw new Error(`No local copy of ${key}`);
+  }
+  
+  const remotePath = remoteSyncPath(DECRYPTED_DIR, key);
+  await sendFile(localPath, remotePath);
+  
+  const state = loadSyncState(root);
+  state.decrypted = { ...(state.decrypted || {}), [key]: { path: key, remotePath, exposedAt: new Date().toISOString() } };
+  saveSyncState(root, state);
+  return state.decrypted[key];
+}
+
+// Removes one plaintext copy made by exposeDecryptedFile, or all of them.
+export function clearDecryptedFiles(path = null) {
+  return enqueueSync(() => clearDecryptedFilesOnce(path));
+}
+
+async function clearDecryptedFilesOnce(path) {
+  const root = getSyncRoot();
+  const state = loadSyncState(root);
+  const decrypted = state.decrypted || {};
+  const keys = path ? [normalizeSyncPath(path)] : Object.keys(decrypted);
+  const missing = keys.filter(key => !decrypted[key]);
+  if (missing.length > 0) {
+    throw new Error(`No decrypted copy of ${missing.join(', ')}`);
+  }
+  
+  if (keys.length > 0) {
+    const targets = keys.map(key => remoteShellPath(decrypted[key].remotePath)).join(' ');
+    await executeRemote(`rm -f -- ${targets}`);
+  }
+  for (const key of keys) {
+    delete decrypted[key];
+  }
+  state.decrypted = decrypted;
+  saveSyncState(root, state);
+  return { removed: keys };
+}
+
+async function readRemoteFile(remotePath) {
+  const sftp = await getSftp();
+  const chunks = [];
+  for await (const chunk of sftp.createReadStream(remotePath)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Line diff via LCS on the part between the common prefix and suffix. Very
+// large rewrites fall back to showing every line as removed and re-added.
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = a.slice(0, start).map(text => ({ type: ' ', text }));
+  
+  if (midA.length * midB.length > 4000000) {
+    ops.push(...midA.map(text => ({ type: '-', text })), ...midB.map(text => ({ type: '+', text })));
+  } else {
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push({ type: ' ', text: midA[i] });
+        i++;
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({ type: '-', text: midA[i] });
+        i++;
+      } else {
+        ops.push({ type: '+', text: midB[j] });
+        j++;
+      }
+    }
+  }
+  
+  ops.push(...a.slice(endA).map(text => ({ type: ' ', text })));
+  return ops;
+}
+
+function formatUnifiedDiff(ops, context = 3) {
+  const lines = [];
+  let idx = 0;
+  while (idx < ops.length) {
+    if (ops[idx].type === ' ') {
+      idx++;
+      continue;
+    }
+    
+    // Grow the hunk until there are more than 2 * context unchanged lines.
+    const from = Math.max(0, idx - context);
+    let to = idx;
+    let quiet = 0;
+    while (to < ops.length && quiet <= context * 2) {
+      quiet = ops[to].type === ' ' ? quiet + 1 : 0;
+      to++;
+    }
+    to -= Math.max(0, quiet - context);
+    
+    let lineA = 1;
+    let lineB = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k].type !== '+') lineA++;
+      if (ops[k].type !== '-') lineB++;
+    }
+    const hunk = ops.slice(from, to);
+    const countA = hunk.filter(op => op.type !== '+').length;
+    const countB = hunk.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${lineA},${countA} +${lineB},${countB} @@`);
+    lines.push(...hunk.map(op => `${op.type}${op.text}`));
+    idx = to;
+  }
+  return lines.join('\n');
+}
+
+export async function getConflictDiff(path) {
+  const root = getSyncRoot();
+  const state = loadSyncState(root);
+  const key = normalizeSyncPath(path);
+  const conflict = (state.pendingConflicts || {})[key];
+  if (!conflict) {
+    throw new Error(`No pending conflict for ${key}`);
+  }
+  
+  const localPath = localFolderPath(root, conflict.subdir, conflict.relativePath);
+  const localSize = existsSync(localPath) ? statSync(localPath).size : 0;
+  const remoteSize = (await statRemoteFile(conflict.subdir, conflict.relativePath)).size;
+  if (localSize > MAX_DIFF_BYTES || remoteSize > MAX_DIFF_BYTES) {
+    return { path: key, diff: null, reason: `Too large to diff (local ${localSize} bytes, remote ${remoteSize} bytes)` };
+  }
+  
+  const localContent = existsSync(localPath) ? readFileSync(localPath) : Buffer.alloc(0);
+  let remoteContent = await readRemoteFile(remoteSftpPath(remoteFolderPath(conflict.subdir, conflict.relativePath)));
+  if (isEncryptedBuffer(remoteContent)) {
+    remoteContent = decryptBuffer(loadEncryptionKey(), remoteContent);
+  }
+  if (localContent.includes(0) || remoteContent.includes(0)) {
+    return { path: key, diff: null, reason: 'Binary files differ' };
+  }
+  
+  const toLines = (content) => content.toString('utf-8').replace(/\n$/, '').split('\n');
+  const ops = diffLines(toLines(localContent), toLines(remoteContent));
+  const body = formatUnifiedDiff(ops);
+  return {
+    path: key,
+    diff: body ? `--- local/${key}\n+++ remote/${key}\n${body}` : '',
+    reason: body ? null : 'Contents are identical'
+  };
+}
+
+function sftpCall(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    sftp[method](...args, (err, value) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(value);
+    });
+  });
+}
+
+// Plain SFTP rename refuses to overwrite, so prefer the OpenSSH posix-rename
+// extension and only fall back to unlink + rename when it is unavailable.
+async function renameRemote(sftp, fromPath, toPath) {
+  try {
+    await sftpCall(sftp, 'ext_openssh_rename', fromPath, toPath);
+  } catch (error) {
+    if (!(error.message || '').includes('does not support')) throw error;
+    await sftpCall(sftp, 'unlink', toPath).catch(() => {});
+    await sftpCall(sftp, 'rename', fromPath, toPath);
+  }
+}
+
+// Temp names carry the source size and mtime, so an interrupted transfer of
+// the same version finds its partial file and resumes from that offset.
+function tempName(fileName, stat) {
+  return `.${fileName}${TEMP_MARKER}${stat.size}-${Math.floor(stat.mtime.getTime() / 1000)}`;
 }
 
-async function downloadFile(root, subdir, relativePath) {
-  const localPath = join(root, subdir, relativePath);
-  const remotePath = `~/mattyjacksbot/v1/sync/${subdir}/${relativePath}`;
+function remoteTempPath(remotePath, stat) {
+  const idx = remotePath.lastIndexOf('/');
+  return `${remotePath.substring(0, idx + 1)}${tempName(remotePath.substring(idx + 1), stat)}`;
+}
+
+// Temp files for the same name but another size/mtime belong to an earlier
+// version of the file and can never be resumed.
+function isStaleTemp(name, currentTemp) {
+  const prefix = currentTemp.slice(0, currentTemp.indexOf(TEMP_MARKER) + TEMP_MARKER.length);
+  return name.startsWith(prefix) && name !== currentTemp;
+}
+
+async function removeStaleRemoteTemps(sftp, tmpPath) {
+  const idx = tmpPath.lastIndexOf('/');
+  const dir = idx >= 0 ? tmpPath.substring(0, idx) : '.';
+  const entries = await sftpCall(sftp, 'readdir', dir).catch(() => []);
+  for (const { filename } of entries) {
+    if (isStaleTemp(filename, tmpPath.substring(idx + 1))) {
+      await sftpCall(sftp, 'unlink', `${dir}/${filename}`).catch(() => {});
+    }
+  }
+}
+
+function removeStaleLocalTemps(tmpPath) {
+  for (const name of readdirSync(dirname(tmpPath))) {
+    if (isStaleTemp(name, basename(tmpPath))) {
+      unlinkSync(join(dirname(tmpPath), name));
+    }
+  }
+}
+
+function countProgress(stream, offset, onProgress) {
+  if (!onProgress) return;
+  let position = offset;
+  onProgress(position);
+  stream.on('data', (chunk) => {
+    position += chunk.length;
+    onProgress(position);
+  });
+}
+
+// ssh2's SFTP write stream can wait forever when the session closes under
+// it, so both ends are torn down explicitly to surface the dropped connection.
+async function pipeOverSftp(sftp, ...streams) {
+  const abort = () => {
+    const error = new Error('Connection lost during transfer');
+    for (const stream of streams) stream.destroy(error);
+  };
+  sftp.once('close', abort);
+  try {
+    await pipeline(...streams);
+  } finally {
+    sftp.removeListener('close', abort);
+  }
+}
+
+async function uploadFile(root, subdir, relativePath, options = {}) {
+  const { encrypt } = getSyncFolder(subdir, root);
+  await sendFile(localFolderPath(root, subdir, relativePath), remoteFolderPath(subdir, relativePath), { ...options, encrypt });
+}
+
+// Encrypted uploads always start over: a fresh IV means a partial ciphertext
+// from an earlier attempt cannot be continued.
+async function sendFile(localPath, remoteFile, options = {}) {
+  const { onProgress = null, encrypt = false } = options;
+  const remotePath = remoteSftpPath(remoteFile);
+  const key = encrypt ? loadEncryptionKey({ create: true }) : null;
+  
+  await executeRemote(`mkdir -p ${remoteShellPath(remoteFile.substring(0, remoteFile.lastIndexOf('/')))}`, { quiet: true });
+  
+  const sftp = await getSftp();
+  const stat = statSync(localPath);
+  const tmpPath = remoteTempPath(remotePath, stat);
+  await removeStaleRemoteTemps(sftp, tmpPath);
+  
+  const partial = encrypt ? null : await sftpCall(sftp, 'stat', tmpPath).catch(() => null);
+  const offset = partial && partial.size <= stat.size ? partial.size : 0;
+  
+  try {
+    if (encrypt) {
+      const source = createReadStream(localPath);
+      countProgress(source, 0, onProgress);
+      await pipeOverSftp(sftp, source, createEncryptStream(key), sftp.createWriteStream(tmpPath, { flags: 'w' }));
+    } else if (offset < stat.size || stat.size === 0) {
+      const source = createReadStream(localPath, { start: offset });
+      countProgress(source, offset, onProgress);
+      await pipeOverSftp(sftp, source, sftp.createWriteStream(tmpPath, { flags: offset > 0 ? 'r+' : 'w', start: offset }));
+    }
+    await sftpCall(sftp, 'utimes', tmpPath, stat.atime, stat.mtime);
+    await renameRemote(sftp, tmpPath, remotePath);
+  } catch (error) {
+    // Only a dropped connection leaves a temp file worth resuming.
+    if (!isConnectionError(error)) {
+      await sftpCall(sftp, 'unlink', tmpPath).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+async function isRemoteFileEncrypted(sftp, remotePath) {
+  const handle = await sftpCall(sftp, 'open', remotePath, 'r');
+  try {
+    const header = Buffer.alloc(ENCRYPTION_MAGIC.length);
+    const bytesRead = await sftpCall(sftp, 'read', handle, header, 0, header.length, 0);
+    return bytesRead === header.length && header.equals(ENCRYPTION_MAGIC);
+  } finally {
+    await sftpCall(sftp, 'close', handle).catch(() => {});
+  }
+}
+
+// Encrypted remote files are decrypted on the way in, whatever the folder's
+// current setting, so turning encryption off never leaves ciphertext locally.
+async function downloadFile(root, subdir, relativePath, options = {}) {
+  const { onProgress = null } = options;
+  const localPath = localFolderPath(root, subdir, relativePath);
+  const remotePath = remoteSftpPath(remoteFolderPath(subdir, relativePath));
   
-  const localDir = localPath.substring(0, localPath.lastIndexOf('\\'));
+  const localDir = dirname(localPath);
   if (!existsSync(localDir)) {
     mkdirSync(localDir, { recursive: true });
   }
   
-  const base64 = await executeRemote(
-    `base64 "${remotePath}"`,
-    { quiet: true }
-  );
+  const sftp = await getSftp();
+  const remoteStat = await sftpCall(sftp, 'stat', remotePath);
+  const encrypted = await isRemoteFileEncrypted(sftp, remotePath);
+  const tmpPath = join(dirname(localPath), tempName(basename(localPath), {
+    size: remoteStat.size,
+    mtime: new Date(remoteStat.mtime * 1000)
+  }));
+  removeStaleLocalTemps(tmpPath);
   
-  const content = Buffer.from(base64.trim(), 'base64');
-  writeFileSync(localPath, content);
+  try {
+    if (encrypted) {
+      const key = loadEncryptionKey();
+      const source = sftp.createReadStream(remotePath);
+      countProgress(source, 0, onProgress);
+      await pipeOverSftp(sftp, source, createDecryptStream(key), createWriteStream(tmpPath));
+    } else {
+      const partialSize = existsSync(tmpPath) ? statSync(tmpPath).size : 0;
+      const offset = partialSize <= remoteStat.size ? partialSize : 0;
+      
+      if (offset < remoteStat.size || remoteStat.size === 0) {
+        const source = sftp.createReadStream(remotePath, { start: offset });
+        countProgress(source, offset, onProgress);
+        await pipeOverSftp(sftp, source, createWriteStream(tmpPath, { flags: offset > 0 ? 'r+' : 'w', start: offset }));
+      }
+    }
+    utimesSync(tmpPath, remoteStat.atime, remoteStat.mtime);
+    renameSync(tmpPath, localPath);
+  } catch (error) {
+    // Decrypted output cannot be resumed, and only a dropped connection
+    // leaves a plain partial file worth resuming.
+    if ((encrypted || !isConnectionError(error)) && existsSync(tmpPath)) unlinkSync(tmpPath);
+    throw error;
+  }
+}
+
+function isConnectionError(error) {
+  return /not connected|no response|connection (lost|closed|reset)|econnreset|epipe|socket|channel/i.test(error?.message || '');
+}
+
+// Runs transfer tasks a few at a time. A task that fails because the SSH
+// connection dropped is retried on a fresh connection and, thanks to the
+// resumable temp files, continues where it stopped. Progress counts only
+// finished transfers as done; files that fail for good are counted in
+// `failedFiles` and their bytes taken back out of `doneBytes`.
+async function runTransferQueue(tasks, options = {}) {
+  const { onError = null } = options;
+  const concurrency = Math.max(1, parseInt(process.env.SYNC_CONCURRENCY || '3'));
+  const retries = Math.max(0, parseInt(process.env.SYNC_TRANSFER_RETRIES || '2'));
+  const progress = {
+    totalBytes: tasks.reduce((sum, task) => sum + task.bytes, 0),
+    doneBytes: 0,
+    totalFiles: tasks.length,
+    doneFiles: 0,
+    failedFiles: 0,
+    active: 0
+  };
+  let lastEmit = 0;
+  let next = 0;
+  
+  const emit = (task, position, force = false) => {
+    const now = Date.now();
+    if (!force && now - lastEmit < 250) return;
+    lastEmit = now;
+    syncEvents.emit('progress', { path: task.path, action: task.action, bytes: position, size: task.bytes, ...progress });
+  };
+  
+  const worker = async () => {
+    while (next < tasks.length) {
+      const task = tasks[next++];
+      let position = 0;
+      const onProgress = (bytes) => {
+        progress.doneBytes += bytes - position;
+        position = bytes;
+        emit(task, position);
+      };
+      
+      progress.active++;
+      let failed = false;
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await task.run(onProgress);
+          break;
+        } catch (error) {
+          if (attempt < retries && isConnectionError(error)) {
+            // The dropped connection clears itself; the retry reconnects.
+            await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+            continue;
+          }
+          failed = true;
+          if (onError) onError(task, error);
+          break;
+        }
+      }
+      progress.active--;
+      if (failed) {
+        progress.failedFiles++;
+        onProgress(0);
+      } else {
+        progress.doneFiles++;
+        onProgress(task.bytes);
+      }
+      emit(task, position, true);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
 }
 
 export async function getSyncStatus() {
@@ -260,6 +2070,7 @@ export async function getSyncStatus() {
   ensureLocalDirectories();
   
   const state = loadSyncState(root);
+  const folders = resolveSyncFolders(loadSyncConfig(), root);
   
   const countFiles = (dir) => {
     try {
@@ -269,11 +2080,38 @@ export async function getSyncStatus() {
     }
   };
   
+  const counts = Object.fromEntries(folders.map(f => [f.name, countFiles(f.name)]));
+  
+  // Remote encryption as of the last sync, from the recorded base of each
+  // file. Plaintext entries in an encrypted folder are rewritten next sync.
+  const encryptedFolders = folders.filter(f => f.encrypt).map(f => f.name);
+  const encryption = { encrypted: [], plaintext: [] };
+  for (const [key, entry] of Object.entries(state.files)) {
+    if (!encryptedFolders.includes(key.slice(0, key.indexOf('/')))) continue;
+    encryption[entry.encrypted ? 'encrypted' : 'plaintext'].push(key);
+  }
+  
   return {
     lastSync: state.lastSync,
-    publicFiles: countFiles('public'),
-    privateFiles: countFiles('private'),
-    artifactFiles: countFiles('artifacts'),
+    publicFiles: counts.public,
+    privateFiles: counts.private,
+    artifactFiles: counts.artifacts,
+    directions: Object.fromEntries(folders.map(f => [f.name, f.direction])),
+    folders: folders.map(f => ({
+      ...f,
+      files: counts[f.name],
+      ...(f.encrypt ? {
+        encryptedFiles: encryption.encrypted.filter(k => k.startsWith(`${f.name}/`)).length,
+        plaintextFiles: encryption.plaintext.filter(k => k.startsWith(`${f.name}/`)).length
+      } : {})
+    })),
+    encryption: {
+      keyPath: getEncryptionKeyPath(),
+      keyExists: existsSync(getEncryptionKeyPath()),
+      encrypted: encryption.encrypted.sort(),
+      plaintext: encryption.plaintext.sort(),
+      decryptedOnRemote: Object.values(state.decrypted || {})
+    },
     syncRoot: root
   };
 }
@@ -1,11 +1,13 @@
-import { getConnectionStatus, connect } from './ssh.js';
-import { runSync, getSyncStatus } from './sync.js';
+import { getConnectionStatus, connect, connectionEvents } from './ssh.js';
+import { runSync, getSyncStatus, getSyncFolderDetails, listPendingConflicts, getConflictDiff, resolvePendingConflict } from './sync.js';
+import { resolveSyncRoot, normalizeSyncRelPath, isInsideDir } from './paths.js';
 import { getAgentStatus, startAgent, stopAgent, setMoltbookMode, getPendingPosts, approvePost, rejectPost } from './agent.js';
+import { listInstances, getActiveInstanceName, setActiveInstance, DEFAULT_INSTANCE } from './instances.js';
+import { getGatewayLogs } from './logs.js';
 import { applyBrainProposal, createBrainProposal, createBrainProposalFromGenerated, generateTextWithOllamaRemote, indexBrain, listBrainProposals, queryBrain } from './brain.js';
 import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join, resolve } from 'path';
-import { homedir } from 'os';
 import * as cheerio from 'cheerio';
 import { JSDOM } from 'jsdom';
 import { Readability } from '@mozilla/readability';
@@ -14,6 +16,9 @@ let bot = null;
 let indexedOnce = false;
 const processingChats = new Set();
 const repeatTimers = new Map();
+// Chats that have talked to the bot since it started, so alerts still reach
+// someone when TELEGRAM_ALLOWED_USER_IDS is unset.
+const alertChats = new Set();
 
 class SimpleTelegramBot {
   constructor(token, options = {}) {
@@ -144,6 +149,11 @@ class SimpleTelegramBot {
   }
 }
 
+// Escapes user-controlled text (folder names, paths) for legacy Markdown.
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
 function sendSafe(chatId, text, options) {
   if (!bot) return;
   const messageText = clampMessage(text);
@@ -156,11 +166,7 @@ function sendSafe(chatId, text, options) {
 }
 
 function getSyncRoot() {
-  const configuredRoot = process.env.SYNC_ROOT;
-  if (configuredRoot) {
-    return configuredRoot.replace('%USERPROFILE%', homedir());
-  }
-  return join(homedir(), 'Documents', 'mattyjacksbot', 'v1');
+  return resolveSyncRoot(process.env.SYNC_ROOT);
 }
 
 function ensureDir(p) {
@@ -169,12 +175,6 @@ function ensureDir(p) {
   }
 }
 
-function normalizeSyncRelPath(p) {
-  const safeRel = String(p || '').replace(/^[/\\]+/, '').replace(/\\/g, '/');
-  if (!safeRel || safeRel.includes('..')) return '';
-  return safeRel;
-}
-
 function extractSyncFilePathsFromText(text) {
   const s = String(text || '');
   const out = [];
@@ -1451,7 +1451,10 @@ Available commands:
 
 /status - Show current status
 /connect - Connect to Vast.ai
+/use [name] - List instances or switch to one
 /sync - Run bidirectional sync
+/conflicts - List sync conflicts waiting for a decision, with diffs
+/resolve <n|path> <local|remote|both> - Resolve a pending conflict
 /start\_agent - Start the agent
 /stop\_agent - Stop the agent
 /logs - Get recent logs
@@ -1466,8 +1469,8 @@ Available commands:
 
 /context - Toggle context footer (token estimates + model context limit)
 
-/browse <root|public|private|artifacts|brain> [path] - Browse files
-/read <root|public|private|artifacts|brain> <path> - Read a file
+/browse <root|brain|folder> [path] - Browse files (folder: public, private, artifacts or any configured sync folder)
+/read <root|brain|folder> <path> - Read a file
 
 /visit <url> - Visit a web page and summarize
 /crawl <url> [maxPages] [maxDepth] - Crawl a website and summarize
@@ -1670,23 +1673,21 @@ function readRecentChat(chatId, maxLines = 18, maxChars = 6000) {
 
 function resolveBrowseTarget(rootName, relPath) {
   const syncRoot = getSyncRoot();
-  const allowed = new Set(['root', 'public', 'private', 'artifacts', 'brain']);
-  if (!allowed.has(rootName)) throw new Error('Invalid root');
+  const folder = getSyncFolderDetails().find(f => f.name === rootName);
+  if (rootName !== 'root' && rootName !== 'brain' && !folder) throw new Error('Invalid root');
 
   const base = rootName === 'root'
     ? syncRoot
     : rootName === 'brain'
       ? join(syncRoot, 'artifacts', 'brain')
-      : join(syncRoot, rootName);
+      : folder.localPath;
 
   const safeRel = (relPath || '').replace(/^[/\\]+/, '').replace(/\\/g, '/');
   if (safeRel.includes('..')) throw new Error('Invalid path');
 
   const baseResolved = resolve(base);
   const absResolved = safeRel ? resolve(baseResolved, safeRel) : baseResolved;
-  const baseLower = baseResolved.toLowerCase();
-  const absLower = absResolved.toLowerCase();
-  if (absLower !== baseLower && !absLower.startsWith(`${baseLower}\\`) && !absLower.startsWith(`${baseLower}/`)) {
+  if (!isInsideDir(baseResolved, absResolved)) {
     throw new Error('Invalid path');
   }
 
@@ -1745,6 +1746,56 @@ function isAuthorized(userId) {
   return allowed.length === 0 || allowed.includes(userId);
 }
 
+function describeConnection(connection) {
+  if (connection.connected) return '✅ Connected';
+  if (connection.state === 'reconnecting') return `🔄 Reconnecting (attempt ${connection.attempt})`;
+  if (connection.state === 'connecting') return '🔄 Connecting';
+  return `❌ Disconnected${connection.lastError ? ` (${connection.lastError})` : ''}`;
+}
+
+// Private chats share the user's ID, so alerts go to the allowlist plus any
+// authorized chat that has used the bot.
+function notifyAlertChats(text) {
+  if (!bot) return;
+  const chatIds = new Set([...getAllowedUsers(), ...alertChats]);
+  for (const chatId of chatIds) {
+    sendSafe(chatId, text);
+  }
+}
+
+function describeInstance(data) {
+  return data.instance === DEFAULT_INSTANCE ? data.host : `${data.instance} (${data.host})`;
+}
+
+// The listeners are kept so stopTelegramBot can remove them; otherwise each
+// restart of the bot would add another copy of every alert.
+const connectionListeners = {
+  disconnected: (data) => {
+    if (data.unexpected) {
+      notifyAlertChats(`⚠️ Lost the SSH connection to ${describeInstance(data)}: ${data.lastError}. ${data.reconnecting ? 'Reconnecting...' : 'Use /connect to reconnect.'}`);
+    }
+  },
+  connected: (data) => {
+    if (data.reconnected) notifyAlertChats(`✅ Reconnected to ${describeInstance(data)}`);
+  },
+  reconnect_failed: (data) => {
+    notifyAlertChats(`❌ ${describeInstance(data)}: ${data.lastError}. Use /connect to try again.`);
+  }
+};
+
+function watchConnection() {
+  unwatchConnection();
+  for (const [event, listener] of Object.entries(connectionListeners)) {
+    connectionEvents.on(event, listener);
+  }
+}
+
+function unwatchConnection() {
+  for (const [event, listener] of Object.entries(connectionListeners)) {
+    connectionEvents.off(event, listener);
+  }
+}
+
 export function startTelegramBot() {
   const token = process.env.TELEGRAM_BOT_TOKEN;
   
@@ -1754,6 +1805,7 @@ export function startTelegramBot() {
   }
   
   bot = new SimpleTelegramBot(token, { polling: true });
+  watchConnection();
   
   console.log('🤖 Telegram bot started');
 
@@ -1761,7 +1813,10 @@ export function startTelegramBot() {
     '/start',
     '/status',
     '/connect',
+    '/use',
     '/sync',
+    '/conflicts',
+    '/resolve',
     '/start_agent',
     '/stop_agent',
     '/logs',
@@ -2070,7 +2125,7 @@ export function startTelegramBot() {
     }
   });
 
-  bot.onText(/\/brain_propose\s+(public|private|artifacts)\s+(\S+)\s+([\s\S]+)/, async (msg, match) => {
+  bot.onText(/\/brain_propose\s+([A-Za-z0-9_-]+)\s+(\S+)\s+([\s\S]+)/, async (msg, match) => {
     if (!isAuthorized(msg.from.id)) {
       bot.sendMessage(msg.chat.id, '⛔ Unauthorized. Your user ID is not in the allowed list.');
       return;
@@ -2103,15 +2158,16 @@ export function startTelegramBot() {
 📊 *Status*
 
 *Connection:*
+• Instance: \`${connection.instance}\`
 • Host: \`${connection.host || 'Not configured'}\`
-• Status: ${connection.connected ? '✅ Connected' : '❌ Disconnected'}
+• Status: ${describeConnection(connection)}
 
 *Sync:*
 • Last sync: ${sync.lastSync || 'Never'}
 • Public files: ${sync.publicFiles}
 • Private files: ${sync.privateFiles}
 • Artifacts: ${sync.artifactFiles}
-
+${sync.folders.filter(f => !['public', 'private', 'artifacts'].includes(f.name)).map(f => `• ${escapeMarkdown(f.name)}: ${f.files}\n`).join('')}
 *Agent:*
 • Status: ${agent.running ? '✅ Running' : '⏹ Stopped'}
 • Model: \`${agent.model || 'Not loaded'}\`
@@ -2125,6 +2181,27 @@ export function startTelegramBot() {
     }
   });
   
+  // Switches the instance for the whole controller, GUI included.
+  bot.onText(/^\/use\b(.*)/, (msg, match) => {
+    if (!isAuthorized(msg.from.id)) return;
+    
+    const name = match[1].trim();
+    try {
+      if (!name) {
+        const active = getActiveInstanceName();
+        const lines = listInstances().map(i => `${i.name === active ? '▶' : '•'} ${i.name} - ${i.host || 'no host'}`);
+        bot.sendMessage(msg.chat.id, `Instances:\n${lines.join('\n')}\n\nSwitch with /use <name>`);
+        return;
+      }
+      
+      const instance = setActiveInstance(name);
+      const { connected } = getConnectionStatus(instance.name);
+      bot.sendMessage(msg.chat.id, `✅ Using ${instance.name} (${instance.host || 'no host'})${connected ? '' : '. Not connected yet, use /connect'}`);
+    } catch (error) {
+      bot.sendMessage(msg.chat.id, `❌ ${error.message}`);
+    }
+  });
+  
   bot.onText(/\/connect/, async (msg) => {
     if (!isAuthorized(msg.from.id)) return;
     
@@ -2151,13 +2228,70 @@ export function startTelegramBot() {
 
 ↑ Uploaded: ${result.uploaded} files
 ↓ Downloaded: ${result.downloaded} files
+✗ Deleted: ${result.deleted} files
 ⚠ Conflicts: ${result.conflicts.length}
+⊘ Blocked by folder direction: ${result.violations.length}
+! Skipped (invalid names here): ${result.warnings.length}
+${result.heldDeletions.map(h => `\n⊘ Held back ${h.count} deletions in ${escapeMarkdown(h.folder)}; check the remote path, then run \`v1 sync --allow-bulk-delete\` if intended`).join('')}
+${result.conflicts.some(c => c.resolution === 'ask') ? '\nSome conflicts need a decision: /conflicts' : ''}
       `, { parse_mode: 'Markdown' });
     } catch (error) {
       bot.sendMessage(msg.chat.id, `❌ Sync failed: ${error.message}`);
     }
   });
   
+  bot.onText(/^\/conflicts\b/, async (msg) => {
+    if (!isAuthorized(msg.from.id)) return;
+    
+    try {
+      const conflicts = listPendingConflicts();
+      if (conflicts.length === 0) {
+        bot.sendMessage(msg.chat.id, '✅ No pending conflicts');
+        return;
+      }
+      
+      bot.sendMessage(msg.chat.id, `⚠ ${conflicts.length} pending conflict(s). Reply with /resolve <n> <local|remote|both>`);
+      for (const [i, c] of conflicts.entries()) {
+        const header = `${i + 1}. ${c.path}\nlocal ${c.local.size} bytes, ${new Date(c.local.mtime).toLocaleString()}\nremote ${c.remote.size} bytes, ${new Date(c.remote.mtime).toLocaleString()}`;
+        try {
+          const { diff, reason } = await getConflictDiff(c.path);
+          sendSafe(msg.chat.id, `${header}\n\n${diff || reason}`);
+        } catch (error) {
+          sendSafe(msg.chat.id, `${header}\n\n❌ Could not load the diff: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      bot.sendMessage(msg.chat.id, `❌ Failed to list conflicts: ${error.message}`);
+    }
+  });
+  
+  bot.onText(/^\/resolve\b(.*)/, async (msg, match) => {
+    if (!isAuthorized(msg.from.id)) return;
+    
+    const [target, choice] = match[1].trim().split(/\s+/);
+    if (!target || !['local', 'remote', 'both'].includes(choice)) {
+      bot.sendMessage(msg.chat.id, 'Usage: /resolve <n|path> <local|remote|both>');
+      return;
+    }
+    
+    try {
+      let path = target;
+      if (/^\d+$/.test(path)) {
+        const conflict = listPendingConflicts()[parseInt(path) - 1];
+        if (!conflict) {
+          bot.sendMessage(msg.chat.id, `❌ No pending conflict #${path}`);
+          return;
+        }
+        path = conflict.path;
+      }
+      
+      const result = await resolvePendingConflict(path, choice);
+      bot.sendMessage(msg.chat.id, `✅ Resolved ${result.path} (${choice})`);
+    } catch (error) {
+      bot.sendMessage(msg.chat.id, `❌ Resolve failed: ${error.message}`);
+    }
+  });
+  
   bot.onText(/\/start_agent/, async (msg) => {
     if (!isAuthorized(msg.from.id)) return;
     
@@ -2260,11 +2394,7 @@ export function startTelegramBot() {
     if (!isAuthorized(msg.from.id)) return;
     
     try {
-      const { executeRemote } = await import('./ssh.js');
-      const logs = await executeRemote(
-        'tail -n 30 /tmp/openclaw-gateway.log 2>/dev/null || echo "No logs"',
-        { quiet: true }
-      );
+      const logs = await getGatewayLogs(30);
       
       bot.sendMessage(msg.chat.id, clampMessage(logs.substring(0, 4000))).catch(() => {});
     } catch (error) {
@@ -2273,6 +2403,8 @@ export function startTelegramBot() {
   });
 
   bot.on('message', async (msg) => {
+    if (msg?.from && isAuthorized(msg.from.id)) alertChats.add(msg.chat.id);
+
     const text = (msg?.text || '').trim();
     if (!text) return;
 
@@ -2295,6 +2427,7 @@ export function startTelegramBot() {
 }
 
 export function stopTelegramBot() {
+  unwatchConnection();
   if (bot) {
     bot.stopPolling();
     bot = null;
@@ -2304,6 +2437,7 @@ export function stopTelegramBot() {
     clearInterval(intervalId);
   }
   repeatTimers.clear();
+  alertChats.clear();
 }
 
 export function sendTelegramNotification(message) {
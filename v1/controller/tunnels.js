@@ -0,0 +1,134 @@
+import net from 'net';
+import { forwardRemotePort } from './ssh.js';
+import { getCurrentInstanceName } from './instances.js';
+
+// Local listeners keyed by local port. Each accepted connection gets its own
+// forwarded channel over the instance's SSH connection, so a tunnel outlives
+// reconnects: connections open at the time of a drop close, new ones wait for
+// the reconnect.
+const tunnels = new Map();
+
+// Remote services that can be named; any other remote port is given as a number.
+export function getTunnelTargets() {
+  return {
+    gateway: parseInt(process.env.OPENCLAW_GATEWAY_PORT || '18789'),
+    ollama: 11434
+  };
+}
+
+function resolveTarget(target) {
+  const targets = getTunnelTargets();
+  if (targets[target]) {
+    return { name: target, remotePort: targets[target] };
+  }
+  const port = Number(target);
+  if (Number.isInteger(port) && port > 0 && port < 65536) {
+    return { name: String(port), remotePort: port };
+  }
+  throw new Error(`Unknown tunnel target "${target}". Use ${Object.keys(targets).join(', ')} or a remote port number`);
+}
+
+function describeTunnel(tunnel) {
+  return {
+    name: tunnel.name,
+    instance: tunnel.instance,
+    remotePort: tunnel.remotePort,
+    localPort: tunnel.localPort,
+    url: `http://localhost:${tunnel.localPort}/`,
+    openedAt: tunnel.openedAt,
+    connections: tunnel.sockets.size,
+    lastError: tunnel.lastError
+  };
+}
+
+function handleConnection(tunnel, socket) {
+  tunnel.sockets.add(socket);
+  socket.on('error', () => {});
+  socket.on('close', () => tunnel.sockets.delete(socket));
+
+  // The socket stays paused until piped, so nothing sent before the channel
+  // opens is lost.
+  forwardRemotePort(tunnel.remotePort, { instance: tunnel.instance })
+    .then((channel) => {
+      if (socket.destroyed) {
+        channel.close();
+        return;
+      }
+      channel.on('error', () => {});
+      channel.on('close', () => socket.destroy());
+      socket.on('close', () => channel.close());
+      socket.pipe(channel).pipe(socket);
+      tunnel.lastError = null;
+    })
+    .catch((err) => {
+      tunnel.lastError = err.message;
+      socket.destroy();
+    });
+}
+
+// Forwards localhost:`localPort` (default: the remote port) to `target` on the
+// instance. Opening a tunnel that is already open returns it.
+export async function openTunnel(target, options = {}) {
+  const { name, remotePort } = resolveTarget(target);
+  const instance = options.instance || getCurrentInstanceName();
+  const localPort = options.localPort ? parseInt(options.localPort) : remotePort;
+
+  const existing = tunnels.get(localPort);
+  if (existing) {
+    if (existing.instance === instance && existing.remotePort === remotePort) {
+      return describeTunnel(existing);
+    }
+    throw new Error(`Local port ${localPort} is already used by the ${existing.name} tunnel (${existing.instance})`);
+  }
+
+  const tunnel = {
+    name,
+    instance,
+    remotePort,
+    localPort,
+    openedAt: new Date().toISOString(),
+    sockets: new Set(),
+    lastError: null,
+    server: null
+  };
+  tunnel.server = net.createServer((socket) => handleConnection(tunnel, socket));
+  tunnels.set(localPort, tunnel);
+
+  try {
+    await new Promise((resolve, reject) => {
+      tunnel.server.once('error', reject);
+      tunnel.server.listen(localPort, '127.0.0.1', resolve);
+    });
+  } catch (err) {
+    tunnels.delete(localPort);
+    throw new Error(err.code === 'EADDRINUSE'
+      ? `Local port ${localPort} is already in use; choose another local port`
+      : `Could not open tunnel on local port ${localPort}: ${err.message}`);
+  }
+
+  return describeTunnel(tunnel);
+}
+
+export function listTunnels() {
+  return [...tunnels.values()].map(describeTunnel);
+}
+
+// Closes the tunnel on `localPort` and every connection through it.
+export async function closeTunnel(localPort) {
+  const tunnel = tunnels.get(parseInt(localPort));
+  if (!tunnel) {
+    throw new Error(`No tunnel on local port ${localPort}`);
+  }
+
+  tunnels.delete(tunnel.localPort);
+  const closed = new Promise((resolve) => tunnel.server.close(() => resolve()));
+  for (const socket of tunnel.sockets) {
+    socket.destroy();
+  }
+  await closed;
+  return describeTunnel(tunnel);
+}
+
+export async function closeAllTunnels() {
+  return Promise.all([...tunnels.keys()].map(closeTunnel));
+}
@@ -0,0 +1,103 @@
+import { watch } from 'fs';
+import { runSync, getSyncFolderDetails, ensureLocalDirectories } from './sync.js';
+
+function getIntervalSeconds(options) {
+  if (options.intervalSeconds != null) return options.intervalSeconds;
+  return parseInt(process.env.SYNC_INTERVAL || '0');
+}
+
+function getDebounceMs(options) {
+  if (options.debounceMs != null) return options.debounceMs;
+  return parseInt(process.env.SYNC_WATCH_DEBOUNCE_MS || '2000');
+}
+
+export function isAutoSyncEnabled() {
+  const interval = parseInt(process.env.SYNC_INTERVAL || '0');
+  return interval > 0 || (process.env.SYNC_WATCH || '').toLowerCase() === 'true';
+}
+
+// Watches the local sync folders and polls the remote on SYNC_INTERVAL.
+// Runs go through runSync, which already queues them, so a burst of local
+// changes or a slow poll can never start two syncs at once. `dryRun`,
+// `propagateDeletes`, `allowBulkDelete` and `hash` apply to every run.
+export function startSyncWatcher(options = {}) {
+  const { verbose = false, onResult = null, onError = null, dryRun, propagateDeletes, allowBulkDelete, hash } = options;
+  const intervalSeconds = getIntervalSeconds(options);
+  const debounceMs = getDebounceMs(options);
+
+  const watchers = [];
+  let debounceTimer = null;
+  let pollTimer = null;
+  let pending = false;
+  let running = false;
+  let stopped = false;
+
+  const run = async (trigger) => {
+    if (stopped) return;
+    if (running) {
+      pending = true;
+      return;
+    }
+
+    running = true;
+    try {
+      const result = await runSync({ verbose, trigger, dryRun, propagateDeletes, allowBulkDelete, hash });
+      if (onResult) onResult(result, trigger);
+    } catch (error) {
+      if (onError) onError(error, trigger);
+    } finally {
+      running = false;
+    }
+
+    if (pending && !stopped) {
+      pending = false;
+      schedule('watch');
+    }
+  };
+
+  const schedule = (trigger) => {
+    if (debounceTimer) clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      run(trigger);
+    }, debounceMs);
+  };
+
+  // On a fresh install the folders only exist once the first sync has run,
+  // which is too late to watch them, so create them up front.
+  ensureLocalDirectories();
+  for (const { localPath: dir } of getSyncFolderDetails()) {
+    const watcher = watch(dir, { recursive: true }, (eventType, filename) => {
+      if (filename && filename.includes('.sync-tmp-')) return;
+      // Changes during a run (including the sync's own writes) queue one
+      // follow-up run; it is a no-op when nothing else changed.
+      if (running) {
+        pending = true;
+        return;
+      }
+      schedule('watch');
+    });
+    watcher.on('error', (error) => {
+      if (onError) onError(error, 'watch');
+    });
+    watchers.push(watcher);
+  }
+
+  if (intervalSeconds > 0) {
+    pollTimer = setInterval(() => run('interval'), intervalSeconds * 1000);
+  }
+
+  return {
+    intervalSeconds,
+    debounceMs,
+    trigger: () => run('manual'),
+    stop: () => {
+      stopped = true;
+      if (debounceTimer) clearTimeout(debounceTimer);
+      if (pollTimer) clearInterval(pollTimer);
+      for (const watcher of watchers) {
+        watcher.close();
+      }
+    }
+  };
+}
@@ -0,0 +1,7 @@
+// Module hook that points sync.js at the SSH stub; see ssh-stub.js.
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === './ssh.js' && context.parentURL?.endsWith('/controller/sync.js')) {
+    return nextResolve(new URL('./ssh-stub.js', import.meta.url).href, context);
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,17 @@
+// Stands in for controller/ssh.js in tests: "remote" commands run in a local
+// shell, so SYNC_REMOTE_ROOT can point at a temporary directory.
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+export { getRemoteSyncRoot, remoteShellPath, remoteSftpPath } from '../../controller/ssh.js';
+
+const execFileAsync = promisify(execFile);
+
+export async function executeRemote(command) {
+  const { stdout } = await execFileAsync('bash', ['-c', command], { maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
+
+export async function getSftp() {
+  throw new Error('SFTP is not available in tests');
+}
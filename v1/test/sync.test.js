@@ -0,0 +1,92 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { existsSync, mkdirSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+register('./fixtures/ssh-hooks.js', import.meta.url);
+
+const base = mkdtempSync(join(tmpdir(), 'sync-test-'));
+const localDir = join(base, 'local', 'public');
+const remoteDir = join(base, 'remote', 'public');
+process.env.SYNC_ROOT = join(base, 'local');
+process.env.SYNC_CONFIG_PATH = join(base, 'sync.config.json');
+process.env.SYNC_REMOTE_ROOT = join(base, 'remote');
+process.env.SYNC_HASH = 'false';
+
+const { runSync } = await import('../controller/sync.js');
+const { ENCRYPTION_MAGIC, ENCRYPTION_OVERHEAD } = await import('../controller/encryption.js');
+
+function writeFile(path, size, mtimeSeconds) {
+  writeFileSync(path, 'x'.repeat(size));
+  utimesSync(path, mtimeSeconds, mtimeSeconds);
+}
+
+function quietly(task) {
+  const log = console.log;
+  console.log = () => {};
+  return task().finally(() => { console.log = log; });
+}
+
+// Both sides start with the same small file, synced once so it has a base.
+beforeEach(async () => {
+  rmSync(join(base, 'local'), { recursive: true, force: true });
+  rmSync(join(base, 'remote'), { recursive: true, force: true });
+  mkdirSync(localDir, { recursive: true });
+  mkdirSync(remoteDir, { recursive: true });
+  writeFile(join(localDir, 'a.bin'), 100, 1700000000);
+  writeFile(join(remoteDir, 'a.bin'), 100, 1700000000);
+  rmSync(process.env.SYNC_CONFIG_PATH, { force: true });
+  delete process.env.SYNC_MAX_FILE_MB;
+  await quietly(() => runSync());
+  process.env.SYNC_MAX_FILE_MB = '0.001';
+});
+
+after(() => {
+  rmSync(base, { recursive: true, force: true });
+});
+
+test('a local file growing past SYNC_MAX_FILE_MB does not delete the remote copy', async () => {
+  writeFile(join(localDir, 'a.bin'), 2000, 1700000100);
+  const result = await quietly(() => runSync());
+
+  assert.equal(result.deleted, 0);
+  assert.ok(existsSync(join(remoteDir, 'a.bin')));
+  assert.ok(result.ignored.some(entry => entry.path === 'public/a.bin' && entry.side === 'local'));
+
+  // The base survives, so the skip is still not read as a delete next run.
+  const again = await quietly(() => runSync());
+  assert.equal(again.deleted, 0);
+  assert.ok(existsSync(join(remoteDir, 'a.bin')));
+});
+
+test('a remote file growing past SYNC_MAX_FILE_MB does not delete the local copy', async () => {
+  writeFile(join(remoteDir, 'a.bin'), 2000, 1700000100);
+  const result = await quietly(() => runSync());
+
+  assert.equal(result.deleted, 0);
+  assert.ok(existsSync(join(localDir, 'a.bin')));
+  assert.ok(result.ignored.some(entry => entry.path === 'public/a.bin' && entry.side === 'remote'));
+
+  const again = await quietly(() => runSync());
+  assert.equal(again.deleted, 0);
+  assert.ok(existsSync(join(localDir, 'a.bin')));
+});
+
+test('an encrypted remote copy matching its local file is not a conflict without a base', async () => {
+  writeFileSync(process.env.SYNC_CONFIG_PATH, JSON.stringify({ folders: { private: { encrypt: true } } }));
+  const localPrivate = join(base, 'local', 'private');
+  const remotePrivate = join(base, 'remote', 'private');
+  mkdirSync(localPrivate, { recursive: true });
+  mkdirSync(remotePrivate, { recursive: true });
+  writeFile(join(localPrivate, 'b.md'), 100, 1700000000);
+  writeFileSync(join(remotePrivate, 'b.md'), Buffer.concat([ENCRYPTION_MAGIC, Buffer.alloc(100 + ENCRYPTION_OVERHEAD - ENCRYPTION_MAGIC.length)]));
+  utimesSync(join(remotePrivate, 'b.md'), 1700000000, 1700000000);
+
+  const result = await quietly(() => runSync());
+
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.uploaded + result.downloaded, 0);
+});
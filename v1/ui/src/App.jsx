@@ -21,10 +21,16 @@ import {
   Copy,
   Brain,
   FolderOpen,
-  Search
+  Search,
+  Lock,
+  Camera,
+  History,
+  Server,
+  ArrowLeftRight
 } from 'lucide-react'
 
 const API_BASE = '/api'
+const DEFAULT_SYNC_FOLDERS = ['public', 'private', 'artifacts']
 
 function useApi() {
   const [token, setToken] = useState(localStorage.getItem('authToken') || '')
@@ -111,6 +117,16 @@ function App() {
   const [error, setError] = useState(null)
   const [activeTab, setActiveTab] = useState('dashboard')
   const [dashboardInfo, setDashboardInfo] = useState(null)
+  const [syncResult, setSyncResult] = useState(null)
+  const [syncActivity, setSyncActivity] = useState({ running: false, trigger: null, files: [], progress: null })
+  const [syncHistory, setSyncHistory] = useState([])
+  const [syncBackups, setSyncBackups] = useState([])
+  const [syncSnapshots, setSyncSnapshots] = useState([])
+  const [syncConflicts, setSyncConflicts] = useState([])
+  const [instances, setInstances] = useState({ active: null, instances: [] })
+  const [tunnels, setTunnels] = useState({ tunnels: [], targets: {} })
+  const [tunnelForm, setTunnelForm] = useState({ target: 'gateway', port: '', localPort: '' })
+  const [conflictDiffs, setConflictDiffs] = useState({})
   
   const fetchStatus = async () => {
     try {
@@ -158,10 +174,65 @@ function App() {
     }
   }
   
+  const fetchSyncHistory = async () => {
+    try {
+      const data = await fetchApi('/sync/history?limit=20')
+      setSyncHistory(data.runs || [])
+    } catch (err) {
+      console.error('Failed to fetch sync history:', err)
+    }
+  }
+  
+  const fetchSyncConflicts = async () => {
+    try {
+      const data = await fetchApi('/sync/conflicts')
+      setSyncConflicts(data.conflicts || [])
+    } catch (err) {
+      console.error('Failed to fetch sync conflicts:', err)
+    }
+  }
+  
+  const fetchSyncBackups = async () => {
+    try {
+      const data = await fetchApi('/sync/backups')
+      setSyncBackups(data.backups || [])
+    } catch (err) {
+      console.error('Failed to fetch sync backups:', err)
+    }
+  }
+  
+  const fetchTunnels = async () => {
+    try {
+      const data = await fetchApi('/tunnels')
+      setTunnels(data)
+    } catch (err) {
+      console.error('Failed to fetch tunnels:', err)
+    }
+  }
+  
+  const fetchInstances = async () => {
+    try {
+      const data = await fetchApi('/instances')
+      setInstances(data)
+    } catch (err) {
+      console.error('Failed to fetch instances:', err)
+    }
+  }
+  
+  const fetchSyncSnapshots = async () => {
+    try {
+      const data = await fetchApi('/sync/snapshots')
+      setSyncSnapshots(data.snapshots || [])
+    } catch (err) {
+      console.error('Failed to fetch sync snapshots:', err)
+    }
+  }
+  
   useEffect(() => {
     if (token) {
       fetchStatus()
       fetchConfig()
+      fetchInstances()
       fetchBrainProposals()
       const interval = setInterval(fetchStatus, 10000)
       return () => clearInterval(interval)
@@ -169,10 +240,73 @@ function App() {
   }, [token])
   
   useEffect(() => {
-    if (token && activeTab === 'logs') {
-      fetchLogs()
-      const interval = setInterval(fetchLogs, 5000)
-      return () => clearInterval(interval)
+    if (!token) return
+    const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws'
+    const ws = new WebSocket(`${protocol}://${window.location.host}/ws?token=${encodeURIComponent(token)}`)
+    ws.onmessage = (message) => {
+      let data = null
+      try {
+        data = JSON.parse(message.data)
+      } catch {
+        return
+      }
+      if (data?.type === 'connection') {
+        const { type, event, ...connection } = data
+        // Other instances' connections change in the background; only the
+        // active one is shown.
+        setStatus(prev => prev && prev.connection?.instance === connection.instance ? { ...prev, connection } : prev)
+        return
+      }
+      if (data?.type !== 'sync') return
+      if (data.event === 'start') {
+        setSyncActivity({ running: true, trigger: data.trigger, files: [], progress: null })
+      } else if (data.event === 'file') {
+        setSyncActivity(prev => ({ ...prev, files: [...prev.files.slice(-19), data] }))
+      } else if (data.event === 'progress') {
+        setSyncActivity(prev => ({ ...prev, progress: data }))
+      } else if (data.event === 'done' || data.event === 'error') {
+        setSyncActivity(prev => ({ ...prev, running: false }))
+        if (data.event === 'done') setSyncResult({ ...data.result, dryRun: data.dryRun })
+        fetchStatus()
+        fetchSyncHistory()
+        fetchSyncBackups()
+        fetchSyncConflicts()
+      }
+    }
+    return () => ws.close()
+  }, [token])
+  
+  useEffect(() => {
+    if (!token || activeTab !== 'logs') return
+    fetchLogs()
+    // New lines arrive over a dedicated socket while the tab is open; closing
+    // it stops the remote tail.
+    const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws'
+    const ws = new WebSocket(`${protocol}://${window.location.host}/ws?token=${encodeURIComponent(token)}`)
+    ws.onopen = () => ws.send(JSON.stringify({ type: 'subscribe_logs' }))
+    ws.onmessage = (message) => {
+      let data = null
+      try {
+        data = JSON.parse(message.data)
+      } catch {
+        return
+      }
+      if (data?.type !== 'logs') return
+      if (data.error) {
+        setError(data.error)
+        return
+      }
+      setLogs(prev => `${prev}${data.data}`.split('\n').slice(-1000).join('\n'))
+    }
+    return () => ws.close()
+  }, [token, activeTab])
+  
+  useEffect(() => {
+    if (token && activeTab === 'sync') {
+      fetchSyncHistory()
+      fetchSyncBackups()
+      fetchSyncSnapshots()
+      fetchSyncConflicts()
     }
   }, [token, activeTab])
   
@@ -187,6 +321,14 @@ function App() {
       fetchBrainProposals()
     }
   }, [token, activeTab])
+
+  useEffect(() => {
+    if (token && activeTab === 'dashboard') {
+      fetchTunnels()
+      const interval = setInterval(fetchTunnels, 10000)
+      return () => clearInterval(interval)
+    }
+  }, [token, activeTab])
   
   const handleAction = async (action, endpoint, method = 'POST', body = {}) => {
     setLoading(prev => ({ ...prev, [action]: true }))
@@ -201,11 +343,131 @@ function App() {
     }
   }
   
+  const switchInstance = async (name) => {
+    setLoading(prev => ({ ...prev, instance: true }))
+    try {
+      const data = await fetchApi('/instances/active', { method: 'POST', body: JSON.stringify({ name }) })
+      setInstances(prev => ({ ...prev, active: data.active }))
+      setSyncResult(null)
+      await fetchStatus()
+      fetchSyncHistory()
+      fetchSyncBackups()
+      fetchSyncSnapshots()
+      fetchSyncConflicts()
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(prev => ({ ...prev, instance: false }))
+    }
+  }
+  
+  const runSyncAction = async (action, body = {}) => {
+    setLoading(prev => ({ ...prev, [action]: true }))
+    try {
+      const data = await fetchApi('/sync', { method: 'POST', body: JSON.stringify(body) })
+      setSyncResult({ ...data, dryRun: !!body.dryRun })
+      await fetchStatus()
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(prev => ({ ...prev, [action]: false }))
+    }
+  }
+
+  const toggleConflictDiff = async (path) => {
+    if (conflictDiffs[path]) {
+      setConflictDiffs(prev => ({ ...prev, [path]: null }))
+      return
+    }
+    try {
+      const data = await fetchApi(`/sync/conflicts/diff?path=${encodeURIComponent(path)}`)
+      setConflictDiffs(prev => ({ ...prev, [path]: data.diff || data.reason }))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  
+  const resolveSyncConflict = async (path, choice) => {
+    setLoading(prev => ({ ...prev, [`conflict-${path}`]: true }))
+    try {
+      await fetchApi('/sync/conflicts/resolve', { method: 'POST', body: JSON.stringify({ path, choice }) })
+      setConflictDiffs(prev => ({ ...prev, [path]: null }))
+      await fetchSyncConflicts()
+      await fetchSyncHistory()
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(prev => ({ ...prev, [`conflict-${path}`]: false }))
+    }
+  }
+  
+  const restoreSyncBackup = async (backup) => {
+    if (!window.confirm(`Restore ${backup.path} from ${new Date(backup.createdAt).toLocaleString()}? The current local copy is backed up first.`)) return
+    setLoading(prev => ({ ...prev, [`restore-${backup.id}`]: true }))
+    try {
+      await fetchApi('/sync/restore', { method: 'POST', body: JSON.stringify({ path: backup.path, id: backup.id }) })
+      await fetchSyncBackups()
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(prev => ({ ...prev, [`restore-${backup.id}`]: false }))
+    }
+  }
+
+  const createSyncSnapshot = async () => {
+    const label = window.prompt('Snapshot label (optional):', '')
+    if (label === null) return
+    setLoading(prev => ({ ...prev, snapshot: true }))
+    try {
+      await fetchApi('/sync/snapshots', { method: 'POST', body: JSON.stringify({ label }) })
+      await fetchSyncSnapshots()
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(prev => ({ ...prev, snapshot: false }))
+    }
+  }
+  
+  const restoreSyncSnapshot = async (snapshot) => {
+    if (!window.confirm(`Roll every sync folder back to snapshot ${snapshot.id} (${new Date(snapshot.createdAt).toLocaleString()}) and push it to the instance? Replaced files are backed up first.`)) return
+    setLoading(prev => ({ ...prev, [`snapshot-${snapshot.id}`]: true }))
+    try {
+      const result = await fetchApi('/sync/snapshots/restore', { method: 'POST', body: JSON.stringify({ id: snapshot.id }) })
+      if (result.sync) setSyncResult(result.sync)
+      await fetchSyncBackups()
+      await fetchStatus()
+      setError(result.pushError ? `Snapshot restored locally, but pushing to the instance failed: ${result.pushError}` : null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(prev => ({ ...prev, [`snapshot-${snapshot.id}`]: false }))
+    }
+  }
+
+  const clearDecryptedCopy = async (path) => {
+    setLoading(prev => ({ ...prev, [`decrypted-${path}`]: true }))
+    try {
+      await fetchApi('/sync/decrypt/clear', { method: 'POST', body: JSON.stringify({ path }) })
+      await fetchStatus()
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(prev => ({ ...prev, [`decrypted-${path}`]: false }))
+    }
+  }
+
   const openWebUI = async () => {
     setLoading(prev => ({ ...prev, webui: true }))
     try {
       const data = await fetchApi('/openclaw/webui', { method: 'POST' })
       setDashboardInfo(data)
+      fetchTunnels()
     } catch (err) {
       setError(err.message)
     } finally {
@@ -213,6 +475,35 @@ function App() {
     }
   }
   
+  const openTunnel = async () => {
+    const target = tunnelForm.target === 'custom' ? tunnelForm.port.trim() : tunnelForm.target
+    if (!target) return
+    setLoading(prev => ({ ...prev, tunnel: true }))
+    try {
+      const body = { target, ...(tunnelForm.localPort.trim() ? { localPort: tunnelForm.localPort.trim() } : {}) }
+      await fetchApi('/tunnels', { method: 'POST', body: JSON.stringify(body) })
+      await fetchTunnels()
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(prev => ({ ...prev, tunnel: false }))
+    }
+  }
+  
+  const closeTunnel = async (localPort) => {
+    setLoading(prev => ({ ...prev, [`tunnel-${localPort}`]: true }))
+    try {
+      await fetchApi('/tunnels/close', { method: 'POST', body: JSON.stringify({ localPort }) })
+      await fetchTunnels()
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(prev => ({ ...prev, [`tunnel-${localPort}`]: false }))
+    }
+  }
+  
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text)
   }
@@ -228,12 +519,18 @@ function App() {
     }
   }
 
+  // Extra folders come from sync.config.json; the built-in three keep their own cards.
+  const syncFolders = status?.sync?.folders || DEFAULT_SYNC_FOLDERS.map(name => ({ name }))
+  const extraSyncFolders = syncFolders.filter(f => !DEFAULT_SYNC_FOLDERS.includes(f.name))
+  const encryptedSyncFolders = syncFolders.filter(f => f.encrypt)
+  const connectionPending = ['connecting', 'reconnecting'].includes(status?.connection?.state)
+
   const runBrainIndex = async () => {
     setLoading(prev => ({ ...prev, brainIndex: true }))
     try {
-      const include = Object.entries(brainIndexInclude)
-        .filter(([, v]) => !!v)
-        .map(([k]) => k)
+      const include = syncFolders
+        .map(f => f.name)
+        .filter(k => brainIndexInclude[k] !== false)
       await fetchApi('/brain/index', { method: 'POST', body: JSON.stringify({ include }) })
       await fetchStatus()
       setError(null)
@@ -348,11 +645,34 @@ function App() {
           </div>
           
           <div className="flex items-center gap-4">
+            {instances.instances.length > 1 && (
+              <div className="flex items-center gap-2">
+                <Server className="w-4 h-4 text-gray-400" />
+                <select
+                  className="input py-1"
+                  value={status?.connection?.instance || instances.active || ''}
+                  disabled={loading.instance}
+                  onChange={(e) => switchInstance(e.target.value)}
+                >
+                  {instances.instances.map(instance => (
+                    <option key={instance.name} value={instance.name}>
+                      {instance.name}{instance.host ? ` (${instance.host})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            
             {status?.connection?.connected ? (
               <div className="flex items-center gap-2 text-emerald-400">
                 <Wifi className="w-4 h-4" />
                 <span className="text-sm">Connected</span>
               </div>
+            ) : connectionPending ? (
+              <div className="flex items-center gap-2 text-amber-400">
+                <RefreshCw className="w-4 h-4 animate-spin" />
+                <span className="text-sm">{status.connection.state === 'reconnecting' ? 'Reconnecting' : 'Connecting'}</span>
+              </div>
             ) : (
               <div className="flex items-center gap-2 text-red-400">
                 <WifiOff className="w-4 h-4" />
@@ -422,11 +742,11 @@ function App() {
             <div className="card">
               <h3 className="font-semibold mb-3">Index</h3>
               <div className="flex flex-wrap gap-2 mb-3">
-                {['public', 'private', 'artifacts'].map(k => (
+                {syncFolders.map(({ name: k }) => (
                   <label key={k} className="flex items-center gap-2 text-xs bg-gray-800 px-2 py-1 rounded">
                     <input
                       type="checkbox"
-                      checked={!!brainIndexInclude[k]}
+                      checked={brainIndexInclude[k] !== false}
                       onChange={(e) => setBrainIndexInclude(prev => ({ ...prev, [k]: e.target.checked }))}
                     />
                     {k}
@@ -595,7 +915,7 @@ function App() {
             <StatusCard 
               title="Connection" 
               icon={Wifi}
-              status={status?.connection?.connected ? 'success' : 'error'}
+              status={status?.connection?.connected ? 'success' : connectionPending ? 'warning' : 'error'}
             >
               <div className="space-y-2 text-sm">
                 <div className="flex justify-between">
@@ -604,10 +924,17 @@ function App() {
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-400">Status</span>
-                  <span className={status?.connection?.connected ? 'text-emerald-400' : 'text-red-400'}>
-                    {status?.connection?.connected ? 'Connected' : 'Disconnected'}
+                  <span className={status?.connection?.connected ? 'text-emerald-400' : connectionPending ? 'text-amber-400' : 'text-red-400'}>
+                    {status?.connection?.connected
+                      ? 'Connected'
+                      : status?.connection?.state === 'reconnecting'
+                        ? `Reconnecting (attempt ${status.connection.attempt})`
+                        : connectionPending ? 'Connecting' : 'Disconnected'}
                   </span>
                 </div>
+                {!status?.connection?.connected && status?.connection?.lastError && (
+                  <p className="text-xs text-red-400 break-words">{status.connection.lastError}</p>
+                )}
               </div>
               <button 
                 onClick={() => handleAction('connect', '/connect')}
@@ -676,7 +1003,7 @@ function App() {
                   <p className={dashboardInfo.success ? 'text-emerald-400' : 'text-yellow-400'}>
                     {dashboardInfo.message}
                   </p>
-                  {dashboardInfo.tunnelCommand && (
+                  {dashboardInfo.tunnelCommand && !dashboardInfo.tunnel && (
                     <div className="mt-2">
                       <p className="text-gray-400 mb-1">1. Run this SSH tunnel in a terminal:</p>
                       <div className="flex items-center gap-2">
@@ -695,7 +1022,7 @@ function App() {
                   )}
                   {dashboardInfo.webUrl && (
                     <div className="mt-2">
-                      <p className="text-gray-400 mb-1">2. Then open (includes auth token):</p>
+                      <p className="text-gray-400 mb-1">{dashboardInfo.tunnel ? 'Open (includes auth token):' : '2. Then open (includes auth token):'}</p>
                       <div className="flex items-center gap-2">
                         <code className="bg-gray-900 px-2 py-1 rounded flex-1 overflow-x-auto text-xs text-emerald-400 break-all">
                           {dashboardInfo.webUrl}
@@ -753,6 +1080,72 @@ function App() {
               </select>
             </StatusCard>
             
+            <StatusCard
+              title="Tunnels"
+              icon={ArrowLeftRight}
+              status={tunnels.tunnels.some(t => t.lastError) ? 'warning' : 'neutral'}
+            >
+              <div className="space-y-2 text-sm">
+                {tunnels.tunnels.length === 0 && (
+                  <p className="text-gray-400">No ports forwarded</p>
+                )}
+                {tunnels.tunnels.map(t => (
+                  <div key={t.localPort} className="flex items-center gap-2">
+                    <div className="flex-1 min-w-0">
+                      <a href={t.url} target="_blank" rel="noreferrer" className="font-mono text-emerald-400 hover:underline">
+                        localhost:{t.localPort}
+                      </a>
+                      <span className="text-gray-400"> → {t.name === String(t.remotePort) ? `port ${t.remotePort}` : `${t.name} (${t.remotePort})`}</span>
+                      <div className="text-xs text-gray-500">
+                        {t.connections} open connection{t.connections === 1 ? '' : 's'}{instances.instances.length > 1 ? ` · ${t.instance}` : ''}
+                      </div>
+                      {t.lastError && <p className="text-xs text-yellow-400 break-words">{t.lastError}</p>}
+                    </div>
+                    <button
+                      onClick={() => closeTunnel(t.localPort)}
+                      disabled={loading[`tunnel-${t.localPort}`]}
+                      className="btn btn-secondary text-xs"
+                    >
+                      Close
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-2 mt-4">
+                <select
+                  className="input flex-1"
+                  value={tunnelForm.target}
+                  onChange={(e) => setTunnelForm(prev => ({ ...prev, target: e.target.value }))}
+                >
+                  {Object.entries(tunnels.targets).map(([name, port]) => (
+                    <option key={name} value={name}>{name} ({port})</option>
+                  ))}
+                  <option value="custom">Other port</option>
+                </select>
+                {tunnelForm.target === 'custom' && (
+                  <input
+                    className="input w-24"
+                    placeholder="Remote"
+                    value={tunnelForm.port}
+                    onChange={(e) => setTunnelForm(prev => ({ ...prev, port: e.target.value }))}
+                  />
+                )}
+                <input
+                  className="input w-24"
+                  placeholder="Local"
+                  value={tunnelForm.localPort}
+                  onChange={(e) => setTunnelForm(prev => ({ ...prev, localPort: e.target.value }))}
+                />
+              </div>
+              <button
+                onClick={openTunnel}
+                disabled={loading.tunnel || !status?.connection?.connected || (tunnelForm.target === 'custom' && !tunnelForm.port.trim())}
+                className="btn btn-primary w-full mt-2"
+              >
+                {loading.tunnel ? 'Opening...' : 'Open Tunnel'}
+              </button>
+            </StatusCard>
+            
             <StatusCard 
               title="Sync" 
               icon={FolderSync}
@@ -775,6 +1168,12 @@ function App() {
                   <span className="text-gray-400">Artifacts</span>
                   <span>{status?.sync?.artifactFiles || 0}</span>
                 </div>
+                {extraSyncFolders.map(f => (
+                  <div key={f.name} className="flex justify-between">
+                    <span className="text-gray-400">{f.name}</span>
+                    <span>{f.files || 0}</span>
+                  </div>
+                ))}
                 <div className="mt-2">
                   <div className="text-gray-400">Sync root</div>
                   <div className="flex items-center gap-2 mt-1">
@@ -819,6 +1218,9 @@ function App() {
                 <button onClick={() => openSyncFolder('private')} disabled={loading['open-private']} className="btn btn-secondary text-xs">Open Private</button>
                 <button onClick={() => openSyncFolder('artifacts')} disabled={loading['open-artifacts']} className="btn btn-secondary text-xs">Open Artifacts</button>
                 <button onClick={() => openSyncFolder('brain')} disabled={loading['open-brain']} className="btn btn-secondary text-xs">Open Brain</button>
+                {extraSyncFolders.map(f => (
+                  <button key={f.name} onClick={() => openSyncFolder(f.name)} disabled={loading[`open-${f.name}`]} className="btn btn-secondary text-xs">Open {f.name}</button>
+                ))}
               </div>
             </StatusCard>
 
@@ -845,11 +1247,11 @@ function App() {
               <div className="mt-4">
                 <div className="text-xs text-gray-400 mb-2">Index include</div>
                 <div className="flex flex-wrap gap-2">
-                  {['public', 'private', 'artifacts'].map(k => (
+                  {syncFolders.map(({ name: k }) => (
                     <label key={k} className="flex items-center gap-2 text-xs bg-gray-800 px-2 py-1 rounded">
                       <input
                         type="checkbox"
-                        checked={!!brainIndexInclude[k]}
+                        checked={brainIndexInclude[k] !== false}
                         onChange={(e) => setBrainIndexInclude(prev => ({ ...prev, [k]: e.target.checked }))}
                       />
                       {k}
@@ -946,6 +1348,7 @@ function App() {
                   </div>
                   <p className="text-2xl font-bold">{status?.sync?.publicFiles || 0}</p>
                   <p className="text-sm text-gray-400">files (can be posted)</p>
+                  <p className="text-xs text-gray-500 mt-1">Direction: {status?.sync?.directions?.public || 'bidirectional'}</p>
                 </div>
                 
                 <div className="bg-gray-800 rounded-lg p-4">
@@ -955,6 +1358,7 @@ function App() {
                   </div>
                   <p className="text-2xl font-bold">{status?.sync?.privateFiles || 0}</p>
                   <p className="text-sm text-gray-400">files (never posted)</p>
+                  <p className="text-xs text-gray-500 mt-1">Direction: {status?.sync?.directions?.private || 'bidirectional'}</p>
                 </div>
                 
                 <div className="bg-gray-800 rounded-lg p-4">
@@ -964,12 +1368,57 @@ function App() {
                   </div>
                   <p className="text-2xl font-bold">{status?.sync?.artifactFiles || 0}</p>
                   <p className="text-sm text-gray-400">files from agent</p>
+                  <p className="text-xs text-gray-500 mt-1">Direction: {status?.sync?.directions?.artifacts || 'bidirectional'}</p>
                 </div>
+                
+                {extraSyncFolders.map(f => (
+                  <div key={f.name} className="bg-gray-800 rounded-lg p-4">
+                    <div className="flex items-center gap-2 mb-2">
+                      <FolderSync className="w-4 h-4 text-purple-400" />
+                      <span className="font-medium">{f.name}</span>
+                    </div>
+                    <p className="text-2xl font-bold">{f.files || 0}</p>
+                    <p className="text-sm text-gray-400">files ({f.moltbook ? 'can be posted' : 'never posted'})</p>
+                    <p className="text-xs text-gray-500 mt-1">Direction: {f.direction}</p>
+                    <p className="text-xs text-gray-500 font-mono truncate" title={`${f.localPath} ↔ ${f.remotePath}`}>{f.localPath} ↔ {f.remotePath}</p>
+                  </div>
+                ))}
               </div>
               
+              {encryptedSyncFolders.length > 0 && (
+                <div className="bg-gray-800 rounded-lg p-4 mb-6 text-sm">
+                  <div className="flex items-center gap-2 mb-2">
+                    <Lock className="w-4 h-4 text-yellow-400" />
+                    <span className="font-medium">Encrypted on remote: {encryptedSyncFolders.map(f => `${f.name}/`).join(', ')}</span>
+                  </div>
+                  <p className="text-gray-400">
+                    {status?.sync?.encryption?.encrypted?.length || 0} files encrypted
+                    {status?.sync?.encryption?.plaintext?.length > 0 && `, ${status.sync.encryption.plaintext.length} still plaintext (encrypted on next sync)`}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">Key (stays on this PC): <code>{status?.sync?.encryption?.keyPath}</code>{status?.sync?.encryption?.keyExists ? '' : ' - not created yet'}</p>
+                  {status?.sync?.encryption?.decryptedOnRemote?.length > 0 && (
+                    <div className="mt-3 space-y-1">
+                      <p className="text-yellow-400">Plaintext copies on the remote:</p>
+                      {status.sync.encryption.decryptedOnRemote.map(entry => (
+                        <div key={entry.path} className="flex items-center justify-between gap-2">
+                          <span className="font-mono text-xs text-gray-400 truncate" title={entry.remotePath}>{entry.path}</span>
+                          <button
+                            onClick={() => clearDecryptedCopy(entry.path)}
+                            disabled={loading[`decrypted-${entry.path}`]}
+                            className="btn btn-secondary text-xs"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+              
               <div className="flex gap-4">
                 <button 
-                  onClick={() => handleAction('sync', '/sync')}
+                  onClick={() => runSyncAction('sync')}
                   disabled={loading.sync}
                   className="btn btn-primary flex items-center gap-2"
                 >
@@ -978,7 +1427,7 @@ function App() {
                 </button>
                 
                 <button 
-                  onClick={() => handleAction('syncDry', '/sync', 'POST', { dryRun: true })}
+                  onClick={() => runSyncAction('syncDry', { dryRun: true })}
                   disabled={loading.syncDry}
                   className="btn btn-secondary flex items-center gap-2"
                 >
@@ -988,6 +1437,261 @@ function App() {
               </div>
             </div>
             
+            {syncConflicts.length > 0 && (
+              <div className="card">
+                <h3 className="font-semibold mb-4 flex items-center gap-2 text-yellow-400">
+                  <AlertTriangle className="w-4 h-4" />
+                  Pending Conflicts ({syncConflicts.length})
+                </h3>
+                <div className="space-y-4">
+                  {syncConflicts.map((c) => (
+                    <div key={c.path} className="text-sm">
+                      <div className="flex items-center justify-between gap-4 flex-wrap">
+                        <div className="min-w-0">
+                          <p className="font-mono truncate">{c.path}</p>
+                          <p className="text-gray-400">
+                            Local {c.local.size} bytes, {new Date(c.local.mtime).toLocaleString()} · Remote {c.remote.size} bytes, {new Date(c.remote.mtime).toLocaleString()}
+                          </p>
+                        </div>
+                        <div className="flex gap-2">
+                          <button onClick={() => toggleConflictDiff(c.path)} className="btn btn-secondary">
+                            {conflictDiffs[c.path] ? 'Hide Diff' : 'Diff'}
+                          </button>
+                          <button onClick={() => resolveSyncConflict(c.path, 'local')} disabled={loading[`conflict-${c.path}`]} className="btn btn-secondary">
+                            Keep Local
+                          </button>
+                          <button onClick={() => resolveSyncConflict(c.path, 'remote')} disabled={loading[`conflict-${c.path}`]} className="btn btn-secondary">
+                            Keep Remote
+                          </button>
+                          <button onClick={() => resolveSyncConflict(c.path, 'both')} disabled={loading[`conflict-${c.path}`]} className="btn btn-secondary">
+                            Keep Both
+                          </button>
+                        </div>
+                      </div>
+                      {conflictDiffs[c.path] && (
+                        <pre className="mt-2 p-3 bg-gray-900 rounded text-xs overflow-x-auto max-h-96">
+                          {conflictDiffs[c.path].split('\n').map((line, i) => (
+                            <div
+                              key={i}
+                              className={line.startsWith('+') ? 'text-green-400' : line.startsWith('-') ? 'text-red-400' : line.startsWith('@@') ? 'text-cyan-400' : 'text-gray-400'}
+                            >
+                              {line}
+                            </div>
+                          ))}
+                        </pre>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            
+            {(syncActivity.running || syncActivity.files.length > 0) && (
+              <div className="card">
+                <h3 className="font-semibold mb-4 flex items-center gap-2">
+                  <RefreshCw className={`w-4 h-4 ${syncActivity.running ? 'animate-spin' : ''}`} />
+                  {syncActivity.running ? `Syncing (${syncActivity.trigger || 'manual'})...` : 'Recent Activity'}
+                </h3>
+                {syncActivity.progress && (
+                  <div className="mb-4 text-sm">
+                    <div className="flex justify-between text-gray-400 mb-1">
+                      <span>
+                        Transferred {syncActivity.progress.doneFiles}/{syncActivity.progress.totalFiles} files
+                        {syncActivity.progress.failedFiles > 0 && (
+                          <span className="text-red-400"> ({syncActivity.progress.failedFiles} failed)</span>
+                        )}
+                      </span>
+                      <span>
+                        {(syncActivity.progress.doneBytes / 1024 / 1024).toFixed(1)} / {(syncActivity.progress.totalBytes / 1024 / 1024).toFixed(1)} MB
+                      </span>
+                    </div>
+                    <div className="h-2 bg-gray-800 rounded overflow-hidden">
+                      <div
+                        className="h-full bg-blue-500"
+                        style={{ width: `${syncActivity.progress.totalBytes > 0 ? Math.floor((syncActivity.progress.doneBytes / syncActivity.progress.totalBytes) * 100) : 100}%` }}
+                      />
+                    </div>
+                    {syncActivity.running && (
+                      <p className="text-gray-500 font-mono mt-1 truncate">{syncActivity.progress.path}</p>
+                    )}
+                  </div>
+                )}
+                <div className="space-y-1 font-mono text-sm text-gray-400">
+                  {syncActivity.files.map((f, i) => (
+                    <p key={i}>{f.action}{f.resolution ? ` -> ${f.resolution}` : ''}: {f.path}</p>
+                  ))}
+                </div>
+              </div>
+            )}
+            
+            {syncResult && (
+              <div className="card">
+                <h3 className="font-semibold mb-4">{syncResult.dryRun ? 'Last Dry Run' : 'Last Sync'}</h3>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div>
+                    <span className="text-gray-400 block">Uploaded</span>
+                    <span className="text-lg font-bold">{syncResult.uploaded || 0}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-400 block">Downloaded</span>
+                    <span className="text-lg font-bold">{syncResult.downloaded || 0}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-400 block">Deleted</span>
+                    <span className="text-lg font-bold">{syncResult.deleted || 0}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-400 block">Conflicts</span>
+                    <span className="text-lg font-bold">{syncResult.conflicts?.length || 0}</span>
+                  </div>
+                </div>
+                {syncResult.violations?.length > 0 && (
+                  <div className="mt-4 space-y-1">
+                    <p className="text-sm text-yellow-400">Blocked by folder direction:</p>
+                    {syncResult.violations.map((v) => (
+                      <p key={`${v.path}-${v.action}`} className="text-sm text-gray-400 font-mono">{v.path}: {v.action} not allowed ({v.direction})</p>
+                    ))}
+                  </div>
+                )}
+                {syncResult.heldDeletions?.length > 0 && (
+                  <div className="mt-4 space-y-2">
+                    <p className="text-sm text-red-400">Deletions held back (most of a folder would be deleted; check the remote path):</p>
+                    {syncResult.heldDeletions.map((h) => (
+                      <p key={h.folder} className="text-sm text-gray-400 font-mono">{h.folder}: {h.count} of {h.synced} synced files</p>
+                    ))}
+                    <button
+                      onClick={() => runSyncAction('syncBulkDelete', { allowBulkDelete: true })}
+                      disabled={loading.syncBulkDelete}
+                      className="btn btn-secondary text-sm"
+                    >
+                      {loading.syncBulkDelete ? 'Syncing...' : 'Sync and delete them'}
+                    </button>
+                  </div>
+                )}
+                {syncResult.warnings?.length > 0 && (
+                  <div className="mt-4 space-y-1">
+                    <p className="text-sm text-yellow-400">Skipped (not valid on this machine):</p>
+                    {syncResult.warnings.map((w) => (
+                      <p key={w.path} className="text-sm text-gray-400 font-mono">{w.path}: {w.warning}</p>
+                    ))}
+                  </div>
+                )}
+                {syncResult.errors?.length > 0 && (
+                  <div className="mt-4 space-y-1">
+                    {syncResult.errors.map((e) => (
+                      <p key={e.path} className="text-sm text-red-400 font-mono">{e.path}: {e.error}</p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+            
+            <div className="card">
+              <h3 className="font-semibold mb-4">History</h3>
+              {syncHistory.length === 0 ? (
+                <p className="text-gray-400 text-sm">No sync runs recorded yet.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-400 border-b border-gray-700">
+                        <th className="py-2 pr-4">Started</th>
+                        <th className="py-2 pr-4">Trigger</th>
+                        <th className="py-2 pr-4">Duration</th>
+                        <th className="py-2 pr-4">Up</th>
+                        <th className="py-2 pr-4">Down</th>
+                        <th className="py-2 pr-4">Deleted</th>
+                        <th className="py-2 pr-4">Conflicts</th>
+                        <th className="py-2 pr-4">Bytes</th>
+                        <th className="py-2">Errors</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {syncHistory.map((run) => (
+                        <tr key={run.id} className="border-b border-gray-800" title={run.transfers.map(t => `${t.action}${t.resolution ? ` -> ${t.resolution}` : ''}: ${t.path}`).join('\n')}>
+                          <td className="py-2 pr-4">{new Date(run.startedAt).toLocaleString()}</td>
+                          <td className="py-2 pr-4 text-gray-400">{run.trigger}</td>
+                          <td className="py-2 pr-4 text-gray-400">{((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000).toFixed(1)}s</td>
+                          <td className="py-2 pr-4">{run.uploaded}</td>
+                          <td className="py-2 pr-4">{run.downloaded}</td>
+                          <td className="py-2 pr-4">{run.deleted}</td>
+                          <td className="py-2 pr-4">{run.conflicts}</td>
+                          <td className="py-2 pr-4 text-gray-400">{run.transfers.reduce((sum, t) => sum + (t.bytes || 0), 0)}</td>
+                          <td className={`py-2 ${run.errors.length > 0 ? 'text-red-400' : 'text-gray-400'}`}>{run.errors.length}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+            
+            <div className="card">
+              <h3 className="font-semibold mb-4">Backups</h3>
+              {syncBackups.length === 0 ? (
+                <p className="text-gray-400 text-sm">No backups yet. Files overwritten or deleted by sync are kept here.</p>
+              ) : (
+                <div className="space-y-2">
+                  {syncBackups.slice(0, 50).map((backup) => (
+                    <div key={backup.id} className="flex items-center justify-between gap-4 text-sm">
+                      <div className="min-w-0">
+                        <p className="font-mono truncate">{backup.path}</p>
+                        <p className="text-gray-400">
+                          {new Date(backup.createdAt).toLocaleString()} · {backup.reason} · {backup.location}{backup.size != null ? ` · ${backup.size} bytes` : ''}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => restoreSyncBackup(backup)}
+                        disabled={loading[`restore-${backup.id}`]}
+                        className="btn btn-secondary flex items-center gap-2 shrink-0"
+                      >
+                        <Download className="w-4 h-4" />
+                        Restore
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+            
+            <div className="card">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold">Snapshots</h3>
+                <button
+                  onClick={createSyncSnapshot}
+                  disabled={loading.snapshot}
+                  className="btn btn-secondary flex items-center gap-2"
+                >
+                  <Camera className="w-4 h-4" />
+                  {loading.snapshot ? 'Creating...' : 'Create Snapshot'}
+                </button>
+              </div>
+              {syncSnapshots.length === 0 ? (
+                <p className="text-gray-400 text-sm">No snapshots yet. A snapshot captures every sync folder so the whole workspace can be rolled back.</p>
+              ) : (
+                <div className="space-y-2">
+                  {syncSnapshots.map((snapshot) => (
+                    <div key={snapshot.id} className="flex items-center justify-between gap-4 text-sm">
+                      <div className="min-w-0">
+                        <p className="font-mono truncate">{snapshot.id}{snapshot.label ? <span className="text-gray-400 font-sans"> · {snapshot.label}</span> : null}</p>
+                        <p className="text-gray-400">
+                          {new Date(snapshot.createdAt).toLocaleString()} · {snapshot.files} files · {(snapshot.bytes / 1024 / 1024).toFixed(1)} MB · {snapshot.folders.join(', ')}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => restoreSyncSnapshot(snapshot)}
+                        disabled={loading[`snapshot-${snapshot.id}`]}
+                        className="btn btn-secondary flex items-center gap-2 shrink-0"
+                      >
+                        <History className="w-4 h-4" />
+                        Restore
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+            
             <div className="card">
               <h3 className="font-semibold mb-2">Sync Root</h3>
               <p className="font-mono text-sm text-gray-400">{status?.sync?.syncRoot || config?.syncRoot || 'Not configured'}</p>
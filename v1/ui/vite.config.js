@@ -9,6 +9,10 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:3333',
         changeOrigin: true
+      },
+      '/ws': {
+        target: 'ws://localhost:3333',
+        ws: true
       }
     }
   },